@@ -0,0 +1,64 @@
+// /api/api-keys.js
+// 업로드 API 키 관리 (로그인 세션으로만. API 키로 새 키를 만들 수는 없다)
+// GET: 내 키 목록 (앞부분만), POST { label } → 201 { apiKey, key } (key 원문은 이때 한 번만), DELETE ?id= → 폐기
+import { createServerClient } from '../lib/supabase-client.js';
+import { API_KEYS_TABLE, authenticateUploader, generateApiKey, sendAuthError, AuthError } from '../lib/auth.js';
+
+const MAX_ACTIVE_KEYS = 10;
+const PUBLIC_COLUMNS = 'id, label, prefix, created_at, last_used_at, revoked_at';
+
+export default async function handler(req, res) {
+    try {
+        const supabase = createServerClient();
+        const principal = await authenticateUploader(supabase, req);
+        if (principal.method !== 'session') throw new AuthError(403, "API 키 관리는 로그인한 화면에서만 할 수 있습니다.");
+
+        if (req.method === 'GET') {
+            const { data, error } = await supabase.from(API_KEYS_TABLE)
+                .select(PUBLIC_COLUMNS)
+                .eq('user_id', principal.userId)
+                .order('created_at', { ascending: false });
+            if (error) throw error;
+            return res.status(200).json({ apiKeys: data });
+        }
+
+        if (req.method === 'POST') {
+            const label = typeof req.body?.label === 'string' ? req.body.label.trim().slice(0, 100) : '';
+            const { count, error: countError } = await supabase.from(API_KEYS_TABLE)
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', principal.userId)
+                .is('revoked_at', null);
+            if (countError) throw countError;
+            if (count >= MAX_ACTIVE_KEYS) return res.status(409).json({ error: `사용 중인 API 키는 ${MAX_ACTIVE_KEYS}개까지입니다. 쓰지 않는 키를 폐기하세요.` });
+
+            const { key, prefix, hash } = generateApiKey();
+            const { data, error } = await supabase.from(API_KEYS_TABLE)
+                .insert({ user_id: principal.userId, organization_id: principal.organizationId, label: label || null, prefix, key_hash: hash })
+                .select(PUBLIC_COLUMNS)
+                .single();
+            if (error) throw error;
+            console.log(`🔑 API 키 발급 (${principal.userId}, ${prefix}…)`);
+            return res.status(201).json({ apiKey: data, key });
+        }
+
+        if (req.method === 'DELETE') {
+            const { data, error } = await supabase.from(API_KEYS_TABLE)
+                .update({ revoked_at: new Date().toISOString() })
+                .eq('id', req.query.id)
+                .eq('user_id', principal.userId)
+                .is('revoked_at', null)
+                .select(PUBLIC_COLUMNS)
+                .maybeSingle();
+            if (error) throw error;
+            if (!data) return res.status(404).json({ error: "폐기할 API 키를 찾을 수 없습니다." });
+            console.log(`🔑 API 키 폐기 (${principal.userId}, ${data.prefix}…)`);
+            return res.status(200).json({ apiKey: data });
+        }
+
+        return res.status(405).json({ error: 'Method Not Allowed' });
+    } catch (error) {
+        if (error instanceof AuthError) return sendAuthError(res, error);
+        console.error("Server Error:", error);
+        return res.status(500).json({ error: error.message });
+    }
+}
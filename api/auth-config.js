@@ -0,0 +1,10 @@
+// /api/auth-config.js
+// GET: 업로드 화면의 Supabase Auth 로그인 설정 (공개해도 되는 URL 과 anon 키만. 서버 키 SUPABASE_KEY 는 보내지 않는다)
+export default async function handler(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method Not Allowed' });
+
+    const supabaseUrl = process.env.SUPABASE_URL ? process.env.SUPABASE_URL.trim() : "";
+    const supabaseAnonKey = process.env.SUPABASE_ANON_KEY ? process.env.SUPABASE_ANON_KEY.trim() : "";
+    if (!supabaseUrl || !supabaseAnonKey) return res.status(503).json({ error: "로그인 설정(SUPABASE_URL, SUPABASE_ANON_KEY)이 없습니다. API 키로 이용하세요." });
+    return res.status(200).json({ supabaseUrl, supabaseAnonKey });
+}
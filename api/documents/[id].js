@@ -0,0 +1,80 @@
+// /api/documents/[id].js
+// GET: 문서 한 건 (추출 메타데이터, 검증 결과, 변경 이력, 검토본/원본 미리보기 링크, DOCX/HWPX 결과 파일 링크,
+//      같은 사건의 내용이 다른 문서 versions). 원본 링크(originalUrl)는 올린 조직의 검토자(admin, member)에게만 준다.
+// 로그인이 필요하고, 자기 조직 문서만 보고 고칠 수 있다 (다른 조직 문서는 404).
+// PATCH: 가명 처리된 필드 수정 (in_review 상태에서만). 수정 후에는 재생성(rerender)을 거쳐야 승인할 수 있다.
+//        로그인한 검토자만 (lib/review-workflow authenticateReviewer), 이력에는 사용자 ID 를 남긴다.
+import { createServerClient } from '../../lib/supabase-client.js';
+import { authenticate } from '../../lib/auth.js';
+import { judgmentColumns } from '../../lib/judgment-metadata.js';
+import { findOtherVersions, versionSummary } from '../../lib/document-fingerprint.js';
+import {
+    EVENTS_TABLE, ORIGINALS_BUCKET, REVIEW_BUCKET, ReviewError,
+    getDocument, updateDocument, recordEvent, pickEdits, authenticateReviewer, canReview, sendError,
+} from '../../lib/review-workflow.js';
+
+const PREVIEW_TTL_SECONDS = 600;
+
+export default async function handler(req, res) {
+    const { id } = req.query;
+
+    try {
+        const supabase = createServerClient();
+
+        if (req.method === 'GET') {
+            const principal = await authenticate(supabase, req);
+            const doc = await getDocument(supabase, id, principal);
+            const { data: events, error } = await supabase.from(EVENTS_TABLE)
+                .select('action, from_status, to_status, actor, details, created_at')
+                .eq('document_id', doc.id)
+                .order('created_at', { ascending: true });
+            if (error) throw error;
+
+            // 검토 화면에서 결과와 원본을 나란히 보여준다 (짧게 만료되는 링크)
+            const signedUrl = async (bucket, key) => {
+                if (!key) return null;
+                const { data: signed, error: signError } = await supabase.storage.from(bucket).createSignedUrl(key, PREVIEW_TTL_SECONDS);
+                if (signError) throw signError;
+                return signed.signedUrl;
+            };
+            const previewUrl = await signedUrl(REVIEW_BUCKET, doc.review_key);
+            const reviewSourceUrl = await signedUrl(REVIEW_BUCKET, doc.review_source_key);
+            // 비식별화 전 원본은 검토 중인 문서를, 올린 조직의 검토자에게만 보여준다
+            const originalUrl = ['pending', 'in_review'].includes(doc.status) && canReview(principal, doc)
+                ? await signedUrl(ORIGINALS_BUCKET, doc.original_key)
+                : null;
+            const versions = (await findOtherVersions(supabase, doc.case_key, doc.content_sha256 || '', doc.organization_id))
+                .filter((version) => version.id !== doc.id)
+                .map(versionSummary);
+            return res.status(200).json({ document: doc, events, previewUrl, reviewSourceUrl, originalUrl, versions });
+        }
+
+        if (req.method === 'PATCH') {
+            const principal = await authenticateReviewer(supabase, req);
+            const actor = principal.userId;
+            const doc = await getDocument(supabase, id, principal);
+            if (doc.status !== 'in_review') throw new ReviewError(409, `'${doc.status}' 상태의 문서는 수정할 수 없습니다 (먼저 검토를 시작하세요).`);
+
+            const meta = doc.ai_result?.meta || {};
+            const edits = pickEdits(meta, req.body);
+            if (!Object.keys(edits).length) return res.status(200).json({ document: doc, changed: [] });
+
+            // 법원/사건번호/주문이 바뀌면 검색용 컬럼도 다시 계산한다 (선고일은 본문에서 뽑은 값을 유지)
+            const updated = await updateDocument(supabase, doc, 'in_review', {
+                ai_result: { ...doc.ai_result, meta: { ...meta, ...edits } },
+                ...judgmentColumns({ ...meta, ...edits }, { decisionDate: doc.decision_date }),
+                needs_rerender: true,
+            }, actor);
+            // 가명 처리된 값만 바뀌므로 변경 전후 값을 함께 남긴다
+            await recordEvent(supabase, {
+                documentId: doc.id, action: 'edit', fromStatus: doc.status, toStatus: doc.status, actor,
+                details: { changes: Object.fromEntries(Object.keys(edits).map((key) => [key, { from: meta[key] ?? null, to: edits[key] }])) },
+            });
+            return res.status(200).json({ document: updated, changed: Object.keys(edits) });
+        }
+
+        return res.status(405).json({ error: 'Method Not Allowed' });
+    } catch (error) {
+        return sendError(res, error);
+    }
+}
@@ -0,0 +1,136 @@
+// /api/documents/[id]/[action].js
+// POST 작업:
+// - review   : pending → in_review (검토 시작)
+// - rerender : in_review 에서 수정된 메타데이터로 원본부터 PDF 를 다시 만든다 (유출 검증 포함, DOCX/HWPX 는 결과 파일도)
+// - approve  : in_review → approved, 검토본을 게시 버킷(legal-docs, 비공개)으로 복사한다 (DOCX/HWPX 는 결과 파일도)
+// - reject   : in_review → rejected (body.reason)
+// 로그인한 검토자(admin, member)가 자기 조직 문서에만 할 수 있고, 이력의 actor 는 확인된 사용자 ID 다.
+import { createServerClient } from '../../../lib/supabase-client.js';
+import { rerenderFromOriginal, rerenderOfficeFromOriginal, officeHeaderText } from '../../../lib/redaction-pipeline.js';
+import { verifyRedaction, verifySourceFile, mergeVerifications, describeFindings, textLayerPagesOf } from '../../../lib/verify-redaction.js';
+import { createPseudonymRegistry } from '../../../lib/pseudonym-registry.js';
+import { setVerification } from '../../../lib/redaction-report.js';
+import { policyFromReport, hiddenParties } from '../../../lib/redaction-policies.js';
+import { judgmentColumns } from '../../../lib/judgment-metadata.js';
+import { CONTENT_TYPES } from '../../../lib/office/index.js';
+import {
+    ORIGINALS_BUCKET, REVIEW_BUCKET, PUBLISHED_BUCKET, ReviewError,
+    getDocument, updateDocument, recordEvent, assertTransition, authenticateReviewer, sendError, storedNames,
+} from '../../../lib/review-workflow.js';
+
+export const config = {
+    maxDuration: 60,
+};
+
+async function rerender(supabase, doc, actor) {
+    if (doc.status !== 'in_review') throw new ReviewError(409, `'${doc.status}' 상태의 문서는 재생성할 수 없습니다.`);
+    if (!doc.original_key) throw new ReviewError(409, "원본이 보관되지 않은 문서입니다.");
+
+    const { data: original, error: downloadError } = await supabase.storage.from(ORIGINALS_BUCKET).download(doc.original_key);
+    if (downloadError) throw downloadError;
+
+    // 보고서의 가명/분석 정보, 마스킹 방식, 정책과 처리 내역 페이지 여부는 처음 처리할 때의 것을 이어 쓴다
+    const meta = doc.ai_result.meta;
+    const previous = doc.redaction_report || {};
+    const maskMode = previous.maskMode || 'band';
+    const policy = policyFromReport(previous);
+
+    // 실명은 저장하지 않으므로 당사자 이름은 가명 등록부(사건 그룹)에서 가져온다 (entity 모드 마스킹과 검증에 사용)
+    const knownParties = hiddenParties(policy, await createPseudonymRegistry(supabase, { organizationId: doc.organization_id }).load(doc.case_group));
+    if (maskMode === 'entity' && !knownParties.length) console.warn(`⚠️ 가명 등록부에 당사자가 없어 이름 위치를 찾지 못합니다 (${doc.id}). 규칙 기반 탐지 결과만 가립니다.`);
+    // DOCX/HWPX 는 같은 형식 결과 파일(fileBytes)도 다시 만든다
+    const format = doc.source_format || 'pdf';
+    const originalBytes = new Uint8Array(await original.arrayBuffer());
+    const reportContext = {
+        analysis: doc.ai_result.analysis,
+        pseudonyms: previous.pseudonyms || [],
+        appendPage: previous.appendedPage === true,
+    };
+    const rendered = format === 'pdf'
+        ? await rerenderFromOriginal(originalBytes, meta, reportContext, { maskMode, policy, parties: knownParties })
+        : await rerenderOfficeFromOriginal(originalBytes, meta, reportContext, { policy, parties: knownParties });
+    const { pdfBytes, fileBytes = null, piiFindings, report } = rendered;
+    const leakTargets = { names: knownParties.map((p) => p.name), pii: piiFindings };
+    let verification = await verifyRedaction(pdfBytes, { ...leakTargets, textLayerPages: textLayerPagesOf(report) });
+    if (fileBytes) verification = mergeVerifications(verification, verifySourceFile(fileBytes, leakTargets));
+    setVerification(report, verification);
+    report.rerenderedBy = actor;
+    if (!verification.clean) {
+        await recordEvent(supabase, {
+            documentId: doc.id, action: 'rerender_failed', fromStatus: doc.status, toStatus: doc.status, actor,
+            details: { findings: verification.findings },
+        });
+        return { status: 422, body: { error: `비식별화 검증 실패: ${describeFindings(verification.findings)}`, findings: verification.findings } };
+    }
+
+    const { pdf: reviewKey, source: reviewSourceKey } = storedNames(`REVIEW_${Date.now()}_${doc.id}.${format}`, format);
+    const { error: uploadError } = await supabase.storage.from(REVIEW_BUCKET).upload(reviewKey, pdfBytes, { contentType: 'application/pdf', upsert: false });
+    if (uploadError) throw uploadError;
+    if (fileBytes) {
+        const { error: sourceError } = await supabase.storage.from(REVIEW_BUCKET).upload(reviewSourceKey, fileBytes, { contentType: CONTENT_TYPES[format], upsert: false });
+        if (sourceError) throw sourceError;
+    }
+
+    const headerText = format === 'pdf' ? rendered.pageTexts.slice(0, 2).map((page) => page.text).join('\n') : officeHeaderText(rendered.sourceTexts);
+    const judgment = judgmentColumns(meta, { headerText, decisionDate: doc.decision_date });
+    const updated = await updateDocument(supabase, doc, 'in_review', {
+        review_key: reviewKey, review_source_key: reviewSourceKey, needs_rerender: false, verification, redaction_report: report, ...judgment,
+    }, actor);
+    const stale = [doc.review_key, doc.review_source_key].filter(Boolean);
+    if (stale.length) await supabase.storage.from(REVIEW_BUCKET).remove(stale);
+    await recordEvent(supabase, {
+        documentId: doc.id, action: 'rerender', fromStatus: doc.status, toStatus: doc.status, actor,
+        details: { review_key: reviewKey, review_source_key: reviewSourceKey, output_sha256: report.output.sha256 },
+    });
+    return { status: 200, body: { document: updated } };
+}
+
+async function transition(supabase, doc, action, actor, body) {
+    const { from, to } = assertTransition(doc, action);
+    const changes = { status: to };
+    const details = {};
+
+    if (action === 'approve') {
+        if (doc.needs_rerender) throw new ReviewError(409, "수정 내용이 PDF에 반영되지 않았습니다. 재생성(rerender) 후 승인하세요.");
+        if (!doc.review_key) throw new ReviewError(409, "검토본이 없습니다.");
+        // 승인된 문서만 게시 버킷에 올라간다. 이미 같은 키가 있으면 복사가 실패한다(덮어쓰지 않음).
+        const { pdf: fileKey, source: sourceFileKey } = storedNames(`SECURE_${doc.id}_${doc.filename.replace(/^SECURE_\d+_/, '')}`, doc.source_format || 'pdf');
+        const { error: copyError } = await supabase.storage.from(REVIEW_BUCKET).copy(doc.review_key, fileKey, { destinationBucket: PUBLISHED_BUCKET });
+        if (copyError) throw copyError;
+        changes.file_key = fileKey;
+        details.file_key = fileKey;
+        if (doc.review_source_key) {
+            const { error: sourceCopyError } = await supabase.storage.from(REVIEW_BUCKET).copy(doc.review_source_key, sourceFileKey, { destinationBucket: PUBLISHED_BUCKET });
+            if (sourceCopyError) throw sourceCopyError;
+            changes.source_file_key = sourceFileKey;
+            details.source_file_key = sourceFileKey;
+        }
+    }
+    if (action === 'reject') {
+        details.reason = typeof body?.reason === 'string' ? body.reason.trim() : '';
+    }
+
+    const updated = await updateDocument(supabase, doc, from, changes, actor);
+    await recordEvent(supabase, { documentId: doc.id, action, fromStatus: from, toStatus: to, actor, details });
+    return { status: 200, body: { document: updated } };
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+    const { id, action } = req.query;
+
+    try {
+        const supabase = createServerClient();
+        const principal = await authenticateReviewer(supabase, req);
+        const actor = principal.userId;
+        const doc = await getDocument(supabase, id, principal);
+
+        const result = action === 'rerender'
+            ? await rerender(supabase, doc, actor)
+            : await transition(supabase, doc, action, actor, req.body);
+        console.log(`📝 ${action} (${doc.id}) by ${actor}: ${result.status}`);
+        return res.status(result.status).json(result.body);
+    } catch (error) {
+        return sendError(res, error);
+    }
+}
@@ -0,0 +1,34 @@
+// /api/documents/[id]/download.js
+// GET: 승인된 문서의 짧게 만료되는 다운로드 링크 (?ttl=초, 최대 SIGNED_URL_MAX_TTL)
+// ?format=source: DOCX/HWPX 로 받은 문서의 같은 형식 결과 파일 (기본은 PDF)
+import { createServerClient } from '../../../lib/supabase-client.js';
+import { requireAccessToken, AuthError } from '../../../lib/auth.js';
+import { PUBLISHED_BUCKET, ReviewError, getDocument, sendError } from '../../../lib/review-workflow.js';
+
+const SIGNED_URL_TTL = 300;
+const SIGNED_URL_MAX_TTL = 3600;
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method Not Allowed' });
+
+    try {
+        requireAccessToken(req);
+        const supabase = createServerClient();
+        const doc = await getDocument(supabase, req.query.id);
+        if (doc.status !== 'approved' || !doc.file_key) throw new ReviewError(404, "승인된 문서가 아닙니다.");
+        const format = req.query.format || 'pdf';
+        if (format !== 'pdf' && format !== 'source') throw new ReviewError(400, "format 은 pdf 또는 source 입니다.");
+        const key = format === 'source' ? doc.source_file_key : doc.file_key;
+        if (!key) throw new ReviewError(404, "PDF 로 받은 문서라 원본 형식 결과 파일이 없습니다.");
+
+        const ttl = Math.min(Math.max(parseInt(req.query.ttl, 10) || SIGNED_URL_TTL, 10), SIGNED_URL_MAX_TTL);
+        const { data, error } = await supabase.storage.from(PUBLISHED_BUCKET).createSignedUrl(key, ttl, { download: key });
+        if (error) throw error;
+
+        console.log(`🔗 다운로드 링크 발급 (${doc.id}, ${format}, ${ttl}초)`);
+        return res.status(200).json({ url: data.signedUrl, expiresIn: ttl, expiresAt: new Date(Date.now() + ttl * 1000).toISOString() });
+    } catch (error) {
+        if (error instanceof AuthError) return res.status(error.status).json({ error: error.message });
+        return sendError(res, error);
+    }
+}
@@ -0,0 +1,75 @@
+// /api/documents/index.js
+// GET: 검토 대기열 목록/검색 (?status=pending|in_review|approved|rejected|quarantined, ?limit, ?offset)
+// 검색 조건 (lib/judgment-metadata 로 저장한 컬럼):
+//   ?court=서울중앙 (부분 일치), ?caseType=가합, ?caseYear=2024, ?instance=1|2|3, ?outcome=dismissed,
+//   ?from=2024-01-01&to=2024-12-31 (선고일), ?q=손해배상 (가명 처리된 주문/청구취지)
+// 로그인이 필요하고, 로그인한 사용자의 조직이 올린 문서만 보인다 (lib/auth).
+import { createServerClient } from '../../lib/supabase-client.js';
+import { authenticate } from '../../lib/auth.js';
+import { QUEUE_TABLE, sendError } from '../../lib/review-workflow.js';
+import { CASE_TYPES, OUTCOMES } from '../../lib/judgment-metadata.js';
+
+const STATUSES = ['pending', 'in_review', 'approved', 'rejected', 'quarantined'];
+// YYYY-MM-DD 이고 실제 있는 날짜 (2024-02-30 은 안 됨)
+const validDate = (text) => /^\d{4}-\d{2}-\d{2}$/.test(text) && !Number.isNaN(Date.parse(text)) && new Date(text).toISOString().startsWith(text);
+
+// ilike 패턴에서 %, _ 는 글자 그대로 찾는다
+const likePattern = (text) => `%${text.replace(/[\\%_]/g, (ch) => `\\${ch}`)}%`;
+
+// 반환: { error } 또는 { filters: [[method, column, value], ...] }
+function searchFilters(query) {
+    const filters = [];
+    const text = (key) => (typeof query[key] === 'string' ? query[key].trim() : '');
+
+    if (text('court')) filters.push(['ilike', 'court', likePattern(text('court'))]);
+    if (text('caseType')) filters.push(['eq', 'case_type', text('caseType')]);
+    if (text('caseYear')) {
+        const year = Number(text('caseYear'));
+        if (!Number.isInteger(year)) return { error: `사건 연도가 올바르지 않습니다: ${text('caseYear')}` };
+        filters.push(['eq', 'case_year', year]);
+    }
+    if (text('instance')) {
+        if (!['1', '2', '3'].includes(text('instance'))) return { error: "심급은 1, 2, 3 중 하나입니다." };
+        filters.push(['eq', 'instance_level', Number(text('instance'))]);
+    }
+    if (text('outcome')) {
+        if (!OUTCOMES[text('outcome')]) return { error: `알 수 없는 결과: ${text('outcome')} (${Object.keys(OUTCOMES).join(', ')})` };
+        filters.push(['eq', 'outcome', text('outcome')]);
+    }
+    for (const [key, method] of [['from', 'gte'], ['to', 'lte']]) {
+        if (!text(key)) continue;
+        if (!validDate(text(key))) return { error: `날짜 형식이 올바르지 않습니다 (${key}=YYYY-MM-DD)` };
+        filters.push([method, 'decision_date', text(key)]);
+    }
+    if (text('q')) filters.push(['ilike', 'search_text', likePattern(text('q'))]);
+    return { filters };
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method Not Allowed' });
+
+    try {
+        const { status } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        if (status && !STATUSES.includes(status)) return res.status(400).json({ error: `알 수 없는 상태: ${status}` });
+        const { filters, error: filterError } = searchFilters(req.query);
+        if (filterError) return res.status(400).json({ error: filterError });
+
+        const supabase = createServerClient();
+        const principal = await authenticate(supabase, req);
+        let query = supabase.from(QUEUE_TABLE)
+            .select('id, filename, status, source_format, created_at, updated_at, updated_by, needs_rerender, file_key, policy, version_of, court, case_no, case_type, decision_date, instance_level, outcome, ai_result->meta', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1)
+            .eq('organization_id', principal.organizationId);
+        if (status) query = query.eq('status', status);
+        for (const [method, column, value] of filters) query = query[method](column, value);
+
+        const { data, error, count } = await query;
+        if (error) throw error;
+        return res.status(200).json({ documents: data, total: count, limit, offset, caseTypes: CASE_TYPES, outcomes: OUTCOMES });
+    } catch (error) {
+        return sendError(res, error);
+    }
+}
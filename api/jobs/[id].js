@@ -0,0 +1,67 @@
+// /api/jobs/[id].js
+// GET: 작업 상태 { job }. ?stream=1 이거나 Accept: text/event-stream 이면 SSE 로 단계가 바뀔 때마다 보낸다.
+// SSE 연결은 최대 STREAM_WINDOW_MS 동안 유지되고, 끝나지 않았으면 브라우저(EventSource)가 다시 연결한다.
+// 같은 조직의 작업만 볼 수 있다. EventSource 는 헤더를 보낼 수 없으므로, 로그인 대신 이 작업의 짧은 스트림 토큰
+// (?stream_token=, api/jobs/[id]/stream-token 에서 발급)도 받는다. 세션 토큰/API 키는 URL 로 받지 않는다.
+import { createServerClient } from '../../lib/supabase-client.js';
+import { getJob, publicJob, assertJobAccess, JobError, TERMINAL_STATUSES } from '../../lib/redaction-jobs.js';
+import { authenticate, verifyStreamToken, sendAuthError, AuthError } from '../../lib/auth.js';
+
+// SSE 연결(STREAM_WINDOW_MS)이 끝나기 전에 함수가 끊기지 않도록 여유를 둔다
+export const config = {
+    maxDuration: 30,
+};
+
+const POLL_INTERVAL_MS = 1000;
+const STREAM_WINDOW_MS = 25 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function streamJob(req, res, supabase, id) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+    });
+    res.write(`retry: ${POLL_INTERVAL_MS}\n\n`);
+
+    let closed = false;
+    req.on('close', () => { closed = true; });
+
+    let last = '';
+    const deadline = Date.now() + STREAM_WINDOW_MS;
+    while (!closed && Date.now() < deadline) {
+        const job = publicJob(await getJob(supabase, id));
+        const payload = JSON.stringify(job);
+        if (payload !== last) {
+            res.write(`event: job\ndata: ${payload}\n\n`);
+            last = payload;
+        }
+        if (TERMINAL_STATUSES.includes(job.status)) break;
+        await sleep(POLL_INTERVAL_MS);
+    }
+    res.end();
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method Not Allowed' });
+    const { id, stream } = req.query;
+
+    try {
+        const supabase = createServerClient();
+        const principal = typeof req.query.stream_token === 'string'
+            ? verifyStreamToken(req.query.stream_token, id)
+            : await authenticate(supabase, req);
+        const job = assertJobAccess(await getJob(supabase, id), principal);
+        if (stream === '1' || String(req.headers.accept || '').includes('text/event-stream')) {
+            return await streamJob(req, res, supabase, job.id);
+        }
+        return res.status(200).json({ job: publicJob(job) });
+    } catch (error) {
+        if (res.headersSent) return res.end();
+        if (error instanceof AuthError) return sendAuthError(res, error);
+        if (error instanceof JobError) return res.status(error.status).json({ error: error.message });
+        console.error("Server Error:", error);
+        return res.status(500).json({ error: error.message });
+    }
+}
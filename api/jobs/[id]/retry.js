@@ -0,0 +1,45 @@
+// /api/jobs/[id]/retry.js
+// POST: 실패한 작업을 다시 처리한다 (error.retryable 인 경우만). 스테이징 업로드는 실패 시 남아 있으므로 그대로 다시 읽는다.
+// 작업을 만든 조직의 업로드 권한이 있는 사용자만 다시 시도할 수 있다.
+// 하루 한도는 문서 행과 작업 입력에 남는 원래 업로더에게 센다 (다시 시도한 사람이 아니라).
+import { waitUntil } from '@vercel/functions';
+import { createServerClient } from '../../../lib/supabase-client.js';
+import { getJob, requeueJob, runJob, publicJob, assertJobAccess, JobError } from '../../../lib/redaction-jobs.js';
+import { authenticateUploader, principalOf, sendAuthError, AuthError } from '../../../lib/auth.js';
+import { enforceRateLimit, dailyQuotaFor } from '../../../lib/usage-limits.js';
+
+export const config = {
+    maxDuration: 300,
+};
+
+// 하루 한도를 셀 원래 업로더. 업로더가 없는 이전 작업이나 본인 작업이면 다시 시도한 사용자
+async function ownerOf(supabase, job, principal) {
+    const uploader = job.input?.uploader;
+    if (!uploader?.userId || uploader.userId === principal.userId) return principal;
+    try {
+        return await principalOf(supabase, { userId: uploader.userId, apiKeyId: uploader.apiKeyId ?? null }, uploader.apiKeyId ? 'api_key' : 'session');
+    } catch (error) {
+        if (error instanceof AuthError) throw new JobError(409, "작업을 올린 사용자가 더 이상 조직에 없어 다시 시도할 수 없습니다. 새로 올려 주세요.");
+        throw error;
+    }
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+
+    try {
+        const supabase = createServerClient();
+        const principal = await authenticateUploader(supabase, req);
+        await enforceRateLimit(supabase, principal);
+        const failed = assertJobAccess(await getJob(supabase, req.query.id), principal);
+        const owner = await ownerOf(supabase, failed, principal);
+        const job = await requeueJob(supabase, failed);
+        waitUntil(runJob(supabase, job, { quota: dailyQuotaFor(supabase, owner) }).catch((error) => console.error(`🚫 작업 상태 저장 실패 (${job.id}):`, error)));
+        return res.status(202).json({ job: publicJob(job) });
+    } catch (error) {
+        if (error instanceof AuthError) return sendAuthError(res, error);
+        if (error instanceof JobError) return res.status(error.status).json({ error: error.message });
+        console.error("Server Error:", error);
+        return res.status(500).json({ error: error.message });
+    }
+}
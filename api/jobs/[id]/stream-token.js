@@ -0,0 +1,23 @@
+// /api/jobs/[id]/stream-token.js
+// POST: 작업 상태 스트림(GET /api/jobs/[id]?stream=1&stream_token=...)에 쓸 짧은 토큰 { token, expiresIn }.
+// EventSource 는 헤더를 보낼 수 없어 URL 에 넣어야 하므로, 세션 토큰/API 키 대신 이 작업에만 쓰이는 토큰을 준다 (lib/auth).
+// 같은 조직의 작업만 (만료되면 다시 받는다).
+import { createServerClient } from '../../../lib/supabase-client.js';
+import { getJob, assertJobAccess, JobError } from '../../../lib/redaction-jobs.js';
+import { authenticate, issueStreamToken, sendAuthError, AuthError } from '../../../lib/auth.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+
+    try {
+        const supabase = createServerClient();
+        const principal = await authenticate(supabase, req);
+        const job = assertJobAccess(await getJob(supabase, req.query.id), principal);
+        return res.status(200).json(issueStreamToken(job.id, principal));
+    } catch (error) {
+        if (error instanceof AuthError) return sendAuthError(res, error);
+        if (error instanceof JobError) return res.status(error.status).json({ error: error.message });
+        console.error("Server Error:", error);
+        return res.status(500).json({ error: error.message });
+    }
+}
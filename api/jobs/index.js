@@ -0,0 +1,38 @@
+// /api/jobs/index.js
+// POST { uploadId, reportPage?, maskMode?, policy?, relatedCaseNos? } → 202 { job }. 처리는 응답 후 waitUntil 로 이어서 한다.
+// relatedCaseNos: 같은 사건의 다른 심급 ["서울고등법원 2020나1234", ...] (법원 이름이 없는 번호는 쓰지 않는다)
+// 진행 상황은 GET /api/jobs/[id] (또는 SSE: /api/jobs/[id]?stream=1) 로 확인한다.
+// Idempotency-Key 헤더를 보내면 같은 키의 재시도는 처음 만든 작업을 돌려준다 (replayed: true, 다시 처리하지 않음).
+// 로그인이 필요하고, 분당 요청 수를 넘으면 429 (lib/auth, lib/usage-limits). 하루 문서 수 한도는 중복 확인 뒤에 보고,
+// 넘으면 작업이 error.status 429 (retryable) 로 실패한다.
+import { waitUntil } from '@vercel/functions';
+import { createServerClient } from '../../lib/supabase-client.js';
+import { createJob, runJob, publicJob, JobError } from '../../lib/redaction-jobs.js';
+import { idempotencyKeyOf, scopeIdempotencyKey, IdempotencyError } from '../../lib/idempotency.js';
+import { authenticateUploader, uploaderOf, sendAuthError, AuthError } from '../../lib/auth.js';
+import { enforceRateLimit, dailyQuotaFor } from '../../lib/usage-limits.js';
+
+export const config = {
+    maxDuration: 300,
+};
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+
+    try {
+        const supabase = createServerClient();
+        const principal = await authenticateUploader(supabase, req);
+        await enforceRateLimit(supabase, principal);
+        const key = idempotencyKeyOf(req);
+        const idempotencyKey = key && scopeIdempotencyKey(key, principal.userId);
+        const { job, replayed } = await createJob(supabase, req.body || {}, { idempotencyKey, uploader: uploaderOf(principal) });
+        if (replayed) return res.status(202).json({ job: publicJob(job), replayed: true });
+        waitUntil(runJob(supabase, job, { quota: dailyQuotaFor(supabase, principal) }).catch((error) => console.error(`🚫 작업 상태 저장 실패 (${job.id}):`, error)));
+        return res.status(202).json({ job: publicJob(job) });
+    } catch (error) {
+        if (error instanceof AuthError) return sendAuthError(res, error);
+        if (error instanceof JobError || error instanceof IdempotencyError) return res.status(error.status).json({ error: error.message });
+        console.error("Server Error:", error);
+        return res.status(500).json({ error: error.message });
+    }
+}
@@ -0,0 +1,27 @@
+// /api/me.js
+// GET: 로그인한 사용자(세션 또는 API 키)의 조직, 권한, 오늘 쓴 문서 수와 한도 (업로드 화면 상단 표시)
+import { createServerClient } from '../lib/supabase-client.js';
+import { authenticate, sendAuthError, AuthError, UPLOAD_ROLES } from '../lib/auth.js';
+import { dailyUsage } from '../lib/usage-limits.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method Not Allowed' });
+
+    try {
+        const supabase = createServerClient();
+        const principal = await authenticate(supabase, req);
+        const { user, organization, limits, resetsAt } = await dailyUsage(supabase, principal);
+        return res.status(200).json({
+            user: { id: principal.userId, email: principal.email, method: principal.method },
+            organization: { id: principal.organizationId, name: principal.organizationName },
+            role: principal.role,
+            canUpload: UPLOAD_ROLES.includes(principal.role),
+            usage: { user, organization, resetsAt },
+            limits,
+        });
+    } catch (error) {
+        if (error instanceof AuthError) return sendAuthError(res, error);
+        console.error("Server Error:", error);
+        return res.status(500).json({ error: error.message });
+    }
+}
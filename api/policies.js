@@ -0,0 +1,18 @@
+// /api/policies.js
+// GET: 선택할 수 있는 비식별화 정책 프로필 [{ name, description, rules }] (기본 프로필 + redaction_policies 테이블)
+import { createServerClient } from '../lib/supabase-client.js';
+import { listPolicies, ENTITY_CLASSES, HIDDEN_CONTENT, DEFAULT_POLICY, PolicyError } from '../lib/redaction-policies.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method Not Allowed' });
+
+    try {
+        const policies = await listPolicies(createServerClient());
+        const entityClasses = Object.fromEntries(Object.entries(ENTITY_CLASSES).map(([type, { label, actions }]) => [type, { label, actions }]));
+        return res.status(200).json({ policies, defaultPolicy: DEFAULT_POLICY, entityClasses, hiddenContent: HIDDEN_CONTENT });
+    } catch (error) {
+        if (error instanceof PolicyError) return res.status(500).json({ error: `저장된 정책이 올바르지 않습니다: ${error.message}` });
+        console.error("Server Error:", error);
+        return res.status(500).json({ error: error.message });
+    }
+}
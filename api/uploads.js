@@ -0,0 +1,27 @@
+// /api/uploads.js
+// POST { fileName, size } → 스테이징 버킷에 조각별로 직접 올릴 수 있는 서명된 URL 목록
+// 업로드가 끝나면 /api/redact-document 에 { uploadId } 만 보낸다.
+// 로그인이 필요하고 분당 요청 한도를 쓴다. 업로드는 올린 사용자만 처리할 수 있다.
+import { createServerClient } from '../lib/supabase-client.js';
+import { createStagingUpload, StagingError } from '../lib/staging-upload.js';
+import { authenticateUploader, uploaderOf, sendAuthError, AuthError } from '../lib/auth.js';
+import { enforceRateLimit } from '../lib/usage-limits.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+
+    try {
+        const supabase = createServerClient();
+        const principal = await authenticateUploader(supabase, req);
+        await enforceRateLimit(supabase, principal);
+        const { fileName, size } = req.body || {};
+        const upload = await createStagingUpload(supabase, { fileName, size }, uploaderOf(principal));
+        console.log(`📦 스테이징 업로드 준비 (${fileName}, ${size} bytes, ${upload.parts.length}개 조각)`);
+        return res.status(200).json(upload);
+    } catch (error) {
+        if (error instanceof AuthError) return sendAuthError(res, error);
+        if (error instanceof StagingError) return res.status(error.status).json({ error: error.message });
+        console.error("Server Error:", error);
+        return res.status(500).json({ error: error.message });
+    }
+}
@@ -0,0 +1,100 @@
+// /lib/analysis/index.js
+// 분석 제공자 선택 + 시도/검증/재시도 루프.
+// 제공자 인터페이스: { name, models: [string], generate({ model, prompt, document: { base64, text } }) → 응답 텍스트 }
+// document.base64 는 PDF 원본 (DOCX/HWPX 는 null, 뽑은 text 만 있다)
+import { createGeminiProvider } from './providers/gemini.js';
+import { createOpenAICompatibleProvider } from './providers/openai-compatible.js';
+import { createFixtureProvider } from './providers/fixture.js';
+import { parseAnalysisText, validateAnalysis } from './schema.js';
+import { buildRetryNote } from './prompt.js';
+
+export { buildAnalysisPrompt } from './prompt.js';
+export { EMPTY_ANALYSIS, validateAnalysis } from './schema.js';
+
+export class AnalysisError extends Error {
+    constructor(message, attempts) {
+        super(message);
+        this.name = 'AnalysisError';
+        this.attempts = attempts;
+    }
+}
+
+const env = (key) => (process.env[key] ? process.env[key].trim() : "");
+const list = (value) => value.split(',').map((s) => s.trim()).filter(Boolean);
+
+// ANALYSIS_PROVIDER: gemini | openai-compatible | fixture | none
+// 지정하지 않으면 GEMINI_API_KEY 가 있을 때 gemini, 없으면 none(규칙 기반만 수행)
+export function createAnalysisProvider() {
+    const name = env('ANALYSIS_PROVIDER') || (env('GEMINI_API_KEY') ? 'gemini' : 'none');
+    switch (name) {
+        case 'gemini':
+            if (!env('GEMINI_API_KEY')) throw new Error("GEMINI_API_KEY가 없습니다.");
+            return createGeminiProvider({
+                apiKey: env('GEMINI_API_KEY'),
+                ...(env('GEMINI_MODELS') ? { models: list(env('GEMINI_MODELS')) } : {}),
+            });
+        case 'openai-compatible':
+            return createOpenAICompatibleProvider({
+                baseUrl: env('OPENAI_BASE_URL'),
+                apiKey: env('OPENAI_API_KEY'),
+                models: list(env('OPENAI_MODEL')),
+            });
+        case 'fixture':
+            return createFixtureProvider({ fixturePath: env('ANALYSIS_FIXTURE') });
+        case 'none':
+            return null;
+        default:
+            throw new Error(`알 수 없는 ANALYSIS_PROVIDER: ${name}`);
+    }
+}
+
+// 모델마다 최대 attemptsPerModel 번 시도한다.
+// - 호출 자체가 실패하면(네트워크, 할당량 등) 다음 모델로 넘어간다.
+// - 응답이 JSON/스키마 검증에 실패하면 거절 이유를 붙여 같은 모델에 다시 묻는다.
+// 반환: { meta, provider, model, attempts }. 모두 실패하면 AnalysisError(attempts 포함).
+export async function analyzeDocument(provider, { prompt, document, pageCount }, { attemptsPerModel = 2 } = {}) {
+    const attempts = [];
+
+    for (const model of provider.models) {
+        let retryNote = '';
+        for (let attempt = 1; attempt <= attemptsPerModel; attempt++) {
+            const startedAt = Date.now();
+            const record = (ok, reason) => {
+                const entry = { provider: provider.name, model, attempt, ok, reason, ms: Date.now() - startedAt };
+                attempts.push(entry);
+                const log = ok ? console.log : console.warn;
+                log(`${ok ? '🤖' : '⚠️'} 분석 시도 ${provider.name}/${model} #${attempt}: ${ok ? '성공' : reason}`);
+            };
+
+            let text;
+            try {
+                text = await provider.generate({ model, prompt: prompt + retryNote, document });
+            } catch (e) {
+                record(false, `호출 실패: ${e.message}`);
+                break;
+            }
+
+            const parsed = parseAnalysisText(text);
+            if (!parsed.ok) {
+                record(false, parsed.error);
+                retryNote = buildRetryNote([parsed.error]);
+                continue;
+            }
+            const validation = validateAnalysis(parsed.data, { pageCount });
+            if (!validation.ok) {
+                record(false, `스키마 검증 실패: ${validation.errors.join('; ')}`);
+                retryNote = buildRetryNote(validation.errors);
+                continue;
+            }
+
+            record(true, null);
+            return { meta: validation.value, provider: provider.name, model, attempts };
+        }
+    }
+
+    const last = attempts[attempts.length - 1];
+    throw new AnalysisError(
+        `AI 분석 실패 (${provider.name}, ${attempts.length}회 시도): ${last ? last.reason : '시도할 모델이 없습니다'}`,
+        attempts,
+    );
+}
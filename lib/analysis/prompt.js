@@ -0,0 +1,68 @@
+// /lib/analysis/prompt.js
+// 분석 프롬프트. 모든 제공자가 같은 지시문과 출력 형식을 쓴다. 가명/삭제 지시는 비식별화 정책에서 만든다.
+import { defaultPolicy } from '../redaction-policies.js';
+
+const NAME_CLASSES = {
+    party_person: { who: 'individual Plaintiffs/Defendants/Intervenors', kind: 'person', example: '"원고 A", "피고 B"' },
+    party_company: { who: 'corporate Plaintiffs/Defendants/Intervenors (companies, foundations, etc.)', kind: 'company', example: '"피고 C"' },
+    lawyer: { who: 'individual Lawyers (변호사)', kind: 'lawyer', example: '"변호사 D"' },
+    law_firm: { who: 'Law Firms (법무법인)', kind: 'law_firm', example: '"법무법인 E"' },
+};
+
+const VALUE_CLASSES = { court: 'Court Names', date: 'Dates', amount: 'Amounts of money' };
+
+// 정책의 개체별 규칙 → 지시문 한 줄씩
+function policyInstructions(rules) {
+    const lines = Object.entries(NAME_CLASSES).map(([type, { who, kind, example }]) => {
+        if (rules[type] === 'pseudonymize') return `- ${who}: replace with pseudonyms (e.g., ${example}). List each in "parties" with "kind": "${kind}".`;
+        if (rules[type] === 'remove') return `- ${who}: replace with "○○○" (no pseudonym). Still list each in "parties" with "kind": "${kind}" and any pseudonym.`;
+        return `- ${who}: **Keep REAL NAMES** exactly as they appear. Do NOT list them in "parties".`;
+    });
+    for (const [type, what] of Object.entries(VALUE_CLASSES)) {
+        lines.push(rules[type] === 'remove' ? `- ${what}: replace with "○○○".` : `- ${what}: keep as **REAL VALUES**.`);
+    }
+    return lines.map((line) => `                       ${line}`).join('\n');
+}
+
+// policy: { name, rules } (lib/redaction-policies). 없으면 기본 정책.
+// knownPseudonyms: 같은 사건의 다른 문서에서 이미 쓴 [{ role, pseudonym }]. 실명은 보내지 않고, 같은 당사자는 분석 후 등록부가 맞춘다.
+export function buildAnalysisPrompt({ knownPseudonyms = [], policy = defaultPolicy() } = {}) {
+    const lawyersKept = policy.rules.lawyer === 'keep' && policy.rules.law_firm === 'keep';
+    return `
+                    You are a legal document anonymizer. Analyze this judgment.
+
+                    1. **Anonymization Rules** (policy "${policy.name}"):
+${policyInstructions(policy.rules)}
+                       - For every entry in "parties", also give the REAL NAME exactly as written. It is used only to verify the output and is never printed.
+
+                    2. **Mapping (Lawyers)**:
+                       - Identify Law Firms (법무법인) and Lawyers (변호사) and apply the rules above to them.
+                       - List who they represent using the party's pseudonym (e.g., "법무법인 태평양 (원고 A 대리)").${lawyersKept ? '' : `
+                       - Write "lawyer_info" with the names converted by the rules above.`}
+
+                    3. **Rewrite Sections**:
+                       - Rewrite "Order" (주문) and "Claim" (청구취지).
+                       - Apply ONLY the rules above. Everything else stays as written.
+
+                    4. **Masking Range**: Find where the header/body ends. Return "maskEndPage" (1-based integer) and "maskEndRatio" (0 to 1).
+                    ${knownPseudonyms.length ? `
+                    5. **Registered Pseudonyms (same case)**: Other documents of this case already use these pseudonyms. Parties seen before are matched to them automatically after your answer. Do NOT give these letters to any other party.
+${knownPseudonyms.map((p) => `                       - "${p.pseudonym}"${p.role ? ` (${p.role})` : ''}`).join('\n')}
+                    ` : ''}
+
+                    Output ONLY this JSON object, with exactly these fields and no others:
+                    {
+                        "court": "string", "caseNo": "string",
+                        "parties": [{ "name": "string (REAL NAME)", "role": "string (원고/피고/참가인/변호사 등)", "pseudonym": "string", "kind": "person | company | lawyer | law_firm" }],
+                        "parties_anonymized": "string (Pseudonyms)",
+                        "lawyer_info": "string (firms/lawyers, converted by the rules)",
+                        "order_anonymized": "string", "claim_anonymized": "string",
+                        "maskEndPage": number, "maskEndRatio": number
+                    }
+                    `;
+}
+
+// 검증 실패 후 재시도할 때 덧붙이는 안내
+export function buildRetryNote(errors) {
+    return `\n                    Your previous answer was rejected: ${errors.slice(0, 10).join('; ')}. Answer again with valid JSON only.`;
+}
@@ -0,0 +1,17 @@
+// /lib/analysis/providers/fixture.js
+// 오프라인/테스트용 고정 응답 제공자. 네트워크를 쓰지 않고 항상 같은 결과를 낸다.
+// - ANALYSIS_FIXTURE 에 JSON 파일 경로를 주면 그 내용을 그대로 응답한다(스키마 검증도 그대로 거친다).
+// - 없으면 본문에서 사건번호만 찾아 최소 결과를 만든다.
+import { readFile } from 'node:fs/promises';
+import { findCaseReferences } from '../../case-number.js';
+import { EMPTY_ANALYSIS } from '../schema.js';
+
+export function createFixtureProvider({ fixturePath } = {}) {
+    async function generate({ document }) {
+        if (fixturePath) return readFile(fixturePath, 'utf8');
+        const [caseNo] = findCaseReferences(document.text);
+        return JSON.stringify({ ...EMPTY_ANALYSIS, caseNo: caseNo || EMPTY_ANALYSIS.caseNo });
+    }
+
+    return { name: 'fixture', models: ['fixture'], generate };
+}
@@ -0,0 +1,36 @@
+// /lib/analysis/providers/gemini.js
+// Google Gemini 제공자. PDF 원본을 그대로 첨부한다.
+// 요청 본문 한도(20MB)를 넘는 큰 PDF 와 원본이 없는 문서(DOCX/HWPX, base64: null)는 추출한 본문 텍스트를 보낸다.
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export const GEMINI_MODELS = [
+    "gemini-2.0-flash",
+    "gemini-2.5-flash",
+    "gemini-flash-latest",
+    "gemini-pro-latest"
+];
+
+const INLINE_DATA_LIMIT = 18 * 1024 * 1024;
+
+export function createGeminiProvider({ apiKey, models = GEMINI_MODELS }) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    async function generate({ model: modelName, prompt, document }) {
+        const model = genAI.getGenerativeModel({
+            model: modelName,
+            generationConfig: { responseMimeType: "application/json" }
+        });
+        const attachment = document.base64 && document.base64.length <= INLINE_DATA_LIMIT
+            ? { inlineData: { data: document.base64, mimeType: "application/pdf" } }
+            : { text: document.text };
+        const result = await model.generateContent({
+            contents: [{
+                role: "user",
+                parts: [{ text: prompt }, attachment]
+            }]
+        });
+        return result.response.text();
+    }
+
+    return { name: 'gemini', models, generate };
+}
@@ -0,0 +1,35 @@
+// /lib/analysis/providers/openai-compatible.js
+// OpenAI 호환 Chat Completions 엔드포인트 (vLLM, Ollama, LM Studio 등 로컬 서버 포함).
+// PDF 첨부를 지원하지 않는 서버가 많아 추출한 본문 텍스트를 보낸다.
+
+export function createOpenAICompatibleProvider({ baseUrl, apiKey, models }) {
+    if (!baseUrl) throw new Error("OPENAI_BASE_URL이 없습니다.");
+    if (!models || !models.length) throw new Error("OPENAI_MODEL이 없습니다.");
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    async function generate({ model, prompt, document }) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            },
+            body: JSON.stringify({
+                model,
+                temperature: 0,
+                response_format: { type: 'json_object' },
+                messages: [
+                    { role: 'system', content: prompt },
+                    { role: 'user', content: document.text },
+                ],
+            }),
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const body = await response.json();
+        const content = body.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') throw new Error("응답에 message.content가 없습니다.");
+        return content;
+    }
+
+    return { name: 'openai-compatible', models, generate };
+}
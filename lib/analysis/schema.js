@@ -0,0 +1,70 @@
+// /lib/analysis/schema.js
+// 분석 결과(JSON) 검증. 모델 응답은 이 스키마를 통과해야만 사용한다.
+// 오류 메시지에는 필드 경로와 이유만 담고 값(실명 등)은 넣지 않는다.
+
+const STRING_FIELDS = ['court', 'caseNo', 'parties_anonymized', 'lawyer_info', 'order_anonymized', 'claim_anonymized'];
+const PARTY_FIELDS = ['name', 'role', 'pseudonym'];
+// kind 는 선택 항목: 정책(lib/redaction-policies)에서 개인/법인/변호사/법무법인을 구분할 때 쓴다
+const PARTY_KINDS = ['person', 'company', 'lawyer', 'law_firm'];
+const ALLOWED_FIELDS = new Set([...STRING_FIELDS, 'parties', 'maskEndPage', 'maskEndRatio']);
+
+export const EMPTY_ANALYSIS = {
+    court: "정보없음", caseNo: "정보없음", parties: [], parties_anonymized: "정보없음", lawyer_info: "정보없음",
+    order_anonymized: "내용 없음", claim_anonymized: "내용 없음", maskEndPage: 1, maskEndRatio: 0.5,
+};
+
+const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+
+// 반환: { ok, value, errors: ['maskEndRatio: 0~1 범위의 숫자가 아닙니다', ...] }
+export function validateAnalysis(data, { pageCount } = {}) {
+    const errors = [];
+    if (typeOf(data) !== 'object') return { ok: false, value: null, errors: [`응답이 객체가 아닙니다 (${typeOf(data)})`] };
+
+    for (const key of Object.keys(data)) {
+        if (!ALLOWED_FIELDS.has(key)) errors.push(`${key}: 허용되지 않은 필드입니다`);
+    }
+    for (const key of STRING_FIELDS) {
+        if (typeof data[key] !== 'string') errors.push(`${key}: 문자열이 아닙니다 (${typeOf(data[key])})`);
+    }
+    if (typeof data.court === 'string' && !data.court.trim()) errors.push('court: 비어 있습니다');
+
+    if (!Array.isArray(data.parties)) {
+        errors.push(`parties: 배열이 아닙니다 (${typeOf(data.parties)})`);
+    } else {
+        data.parties.forEach((party, i) => {
+            if (typeOf(party) !== 'object') return errors.push(`parties[${i}]: 객체가 아닙니다`);
+            for (const key of Object.keys(party)) {
+                if (!PARTY_FIELDS.includes(key) && key !== 'kind') errors.push(`parties[${i}].${key}: 허용되지 않은 필드입니다`);
+            }
+            for (const key of PARTY_FIELDS) {
+                if (typeof party[key] !== 'string' || !party[key].trim()) errors.push(`parties[${i}].${key}: 비어 있거나 문자열이 아닙니다`);
+            }
+            if ('kind' in party && !PARTY_KINDS.includes(party.kind)) errors.push(`parties[${i}].kind: ${PARTY_KINDS.join('/')} 중 하나가 아닙니다`);
+        });
+    }
+
+    const { maskEndPage, maskEndRatio } = data;
+    if (!Number.isInteger(maskEndPage) || maskEndPage < 1) {
+        errors.push('maskEndPage: 1 이상의 정수가 아닙니다');
+    } else if (pageCount && maskEndPage > pageCount) {
+        errors.push(`maskEndPage: 문서 페이지 수(${pageCount})를 넘습니다`);
+    }
+    if (typeof maskEndRatio !== 'number' || !(maskEndRatio >= 0 && maskEndRatio <= 1)) {
+        errors.push('maskEndRatio: 0~1 범위의 숫자가 아닙니다');
+    }
+
+    return { ok: errors.length === 0, value: errors.length ? null : data, errors };
+}
+
+// 모델 응답 텍스트 → JSON. 응답 전체를 감싼 코드 펜스 하나만 허용한다.
+export function parseAnalysisText(text) {
+    const trimmed = String(text || '').trim();
+    const fenced = /^```(?:json)?\s*\n([\s\S]*?)\n?```$/.exec(trimmed);
+    try {
+        return { ok: true, data: JSON.parse(fenced ? fenced[1] : trimmed) };
+    } catch (e) {
+        // JSON.parse 메시지에는 응답 일부가 들어가므로 위치만 남긴다
+        const position = /position (\d+)/.exec(e.message);
+        return { ok: false, error: `JSON 파싱 실패${position ? ` (위치 ${position[1]})` : ''}, 길이 ${trimmed.length}` };
+    }
+}
@@ -0,0 +1,162 @@
+// /lib/auth.js
+// 1) 파일 다운로드 링크 발급 권한 확인 (requireAccessToken).
+//    호출자는 Authorization: Bearer <토큰> 을 보내고, 서버는 DOCUMENT_ACCESS_TOKENS(쉼표 구분) 와 비교한다.
+//    토큰이 설정되지 않았으면 아무에게도 링크를 내주지 않는다.
+// 2) 업로드 API 호출자 확인 (authenticate). Authorization: Bearer 에 둘 중 하나를 보낸다.
+//    - Supabase Auth 세션의 access token (업로드 화면 로그인)
+//    - 발급한 API 키 (lrk_...). 서버에는 해시만 두고, 원문은 발급할 때 한 번만 보여준다 (api/api-keys)
+//    사용자는 한 조직에 속한다 (organization_members). 조직이 없으면 403, viewer 는 업로드할 수 없다.
+//    세션 토큰과 API 키는 헤더로만 받는다 (URL 에 넣으면 접근 로그/브라우저 기록에 남는다).
+// 3) 작업 상태 스트림 토큰 (issueStreamToken). EventSource 는 헤더를 보낼 수 없으므로, 작업 하나에만 쓰이고
+//    STREAM_TOKEN_TTL_SECONDS 뒤 만료되는 서명 토큰을 따로 발급해 ?stream_token= 으로 받는다 (api/jobs/[id]/stream-token).
+//    서명 키는 STREAM_TOKEN_SECRET, 없으면 서버 키(SUPABASE_KEY)에서 만든다.
+import crypto from 'node:crypto';
+
+export const API_KEYS_TABLE = 'api_keys';
+export const MEMBERS_TABLE = 'organization_members';
+export const ORGANIZATIONS_TABLE = 'organizations';
+export const API_KEY_PREFIX = 'lrk_';
+export const UPLOAD_ROLES = ['admin', 'member'];
+export const STREAM_TOKEN_TTL_SECONDS = 120;
+
+// retryAfter: 429 응답의 Retry-After (초)
+export class AuthError extends Error {
+    constructor(status, message, { retryAfter = null } = {}) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+export function requireAccessToken(req) {
+    const tokens = (process.env.DOCUMENT_ACCESS_TOKENS || '').split(',').map((t) => t.trim()).filter(Boolean);
+    if (!tokens.length) throw new AuthError(503, "다운로드 권한 설정(DOCUMENT_ACCESS_TOKENS)이 없습니다.");
+
+    const match = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ''));
+    if (!match) throw new AuthError(401, "인증 토큰이 없습니다.");
+
+    const given = digest(match[1].trim());
+    if (!tokens.some((token) => crypto.timingSafeEqual(digest(token), given))) throw new AuthError(403, "권한이 없습니다.");
+}
+
+export const hashApiKey = (key) => digest(key).toString('hex');
+
+// 반환: { key, prefix, hash } (key 는 호출자에게 한 번만 보여준다)
+export function generateApiKey() {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), hash: hashApiKey(key) };
+}
+
+function bearerTokenOf(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ''));
+    return match ? match[1].trim() : '';
+}
+
+async function userOfApiKey(supabase, key) {
+    const { data, error } = await supabase.from(API_KEYS_TABLE)
+        .select('id, user_id, revoked_at')
+        .eq('key_hash', hashApiKey(key))
+        .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new AuthError(401, "API 키가 올바르지 않습니다.");
+    if (data.revoked_at) throw new AuthError(401, "폐기된 API 키입니다.");
+
+    const { error: touchError } = await supabase.from(API_KEYS_TABLE).update({ last_used_at: new Date().toISOString() }).eq('id', data.id);
+    if (touchError) console.warn("⚠️ API 키 사용 시각 기록 실패:", touchError.message);
+    return { userId: data.user_id, apiKeyId: data.id };
+}
+
+async function userOfSession(supabase, token) {
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) throw new AuthError(401, "로그인이 만료되었거나 올바르지 않습니다. 다시 로그인하세요.");
+    return { userId: data.user.id, email: data.user.email || null, apiKeyId: null };
+}
+
+// 반환: { userId, email, method: 'session' | 'api_key', apiKeyId, organizationId, organizationName, role, limits }
+// limits: 사용자/조직별 한도 덮어쓰기 (null 이면 기본값, lib/usage-limits)
+export async function authenticate(supabase, req) {
+    const token = bearerTokenOf(req);
+    if (!token) throw new AuthError(401, "로그인이 필요합니다 (Authorization: Bearer <세션 토큰 또는 API 키>).");
+
+    const method = token.startsWith(API_KEY_PREFIX) ? 'api_key' : 'session';
+    const user = method === 'api_key' ? await userOfApiKey(supabase, token) : await userOfSession(supabase, token);
+    return principalOf(supabase, user, method);
+}
+
+// 확인된 사용자 { userId, apiKeyId, email? } → authenticate 와 같은 모양 (소속 조직, 권한, 한도)
+// 다른 사람이 올린 작업을 다시 시도할 때 원래 업로더의 한도를 보는 데도 쓴다 (api/jobs/[id]/retry)
+export async function principalOf(supabase, user, method) {
+    const { data: member, error } = await supabase.from(MEMBERS_TABLE)
+        .select('organization_id, role, rate_limit_per_minute, daily_document_quota')
+        .eq('user_id', user.userId)
+        .maybeSingle();
+    if (error) throw error;
+    if (!member) throw new AuthError(403, "소속 조직이 없는 계정입니다. 관리자에게 등록을 요청하세요.");
+
+    const { data: organization, error: orgError } = await supabase.from(ORGANIZATIONS_TABLE)
+        .select('id, name, rate_limit_per_minute, daily_document_quota')
+        .eq('id', member.organization_id)
+        .maybeSingle();
+    if (orgError) throw orgError;
+    if (!organization) throw new AuthError(403, "소속 조직을 찾을 수 없습니다.");
+
+    return {
+        email: null,
+        ...user,
+        method,
+        organizationId: organization.id,
+        organizationName: organization.name,
+        role: member.role,
+        limits: {
+            userPerMinute: member.rate_limit_per_minute ?? null,
+            userDaily: member.daily_document_quota ?? null,
+            organizationPerMinute: organization.rate_limit_per_minute ?? null,
+            organizationDaily: organization.daily_document_quota ?? null,
+        },
+    };
+}
+
+// 업로드/처리 API: 로그인 + 업로드 권한(admin, member)
+export async function authenticateUploader(supabase, req) {
+    const principal = await authenticate(supabase, req);
+    if (!UPLOAD_ROLES.includes(principal.role)) throw new AuthError(403, `'${principal.role}' 권한으로는 문서를 올릴 수 없습니다.`);
+    return principal;
+}
+
+function signStreamPayload(payload) {
+    const secret = (process.env.STREAM_TOKEN_SECRET || process.env.SUPABASE_KEY || '').trim();
+    if (!secret) throw new AuthError(503, "스트림 토큰 서명 키(STREAM_TOKEN_SECRET)가 없습니다.");
+    const key = Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'job-stream-token', 32));
+    return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+// 작업 하나의 상태 스트림만 열 수 있는 토큰. 반환: { token, expiresIn }
+export function issueStreamToken(jobId, { userId, organizationId }) {
+    const claims = { job: String(jobId), user: userId, org: organizationId ?? null, exp: Math.floor(Date.now() / 1000) + STREAM_TOKEN_TTL_SECONDS };
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return { token: `${payload}.${signStreamPayload(payload)}`, expiresIn: STREAM_TOKEN_TTL_SECONDS };
+}
+
+// 반환: { userId, organizationId } (authenticate 결과 대신 작업 접근 확인에 쓴다)
+export function verifyStreamToken(token, jobId) {
+    const [payload, signature] = String(token || '').split('.');
+    const expected = payload ? Buffer.from(signStreamPayload(payload)) : Buffer.alloc(0);
+    const given = Buffer.from(signature || '');
+    if (!payload || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) throw new AuthError(401, "스트림 토큰이 올바르지 않습니다.");
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.job !== String(jobId)) throw new AuthError(403, "다른 작업의 스트림 토큰입니다.");
+    if (claims.exp * 1000 < Date.now()) throw new AuthError(401, "스트림 토큰이 만료되었습니다.");
+    return { userId: claims.user, organizationId: claims.org };
+}
+
+// 처리 결과/작업에 남기는 업로더 (document_queue.uploaded_by 등)
+export const uploaderOf = ({ userId, organizationId, apiKeyId }) => ({ userId, organizationId, apiKeyId });
+
+export function sendAuthError(res, error) {
+    if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({ error: error.message, ...(error.retryAfter ? { retryAfter: error.retryAfter } : {}) });
+}
@@ -0,0 +1,75 @@
+// /lib/case-number.js
+// 사건번호/법원 이름 정규화 및 판결문 본문에서 같은 사건(심급)의 사건번호를 찾는다.
+// 사건번호는 법원마다 따로 매기므로 같은 사건인지는 법원과 사건번호를 함께 보고 판단한다.
+
+const CASE_NO_RE = /(\d{4})\s*([가-힣]{1,4})\s*(\d{1,7})/g;
+
+// "2020 가합 12345" → "2020가합12345"
+export function normalizeCaseNo(caseNo) {
+    if (!caseNo) return null;
+    CASE_NO_RE.lastIndex = 0;
+    const m = CASE_NO_RE.exec(String(caseNo));
+    return m ? `${m[1]}${m[2]}${m[3]}` : null;
+}
+
+// "서울 고등법원" → "서울고등법원". 비어 있거나 '정보없음'(분석 결과)이면 null
+export function normalizeCourt(court) {
+    const compact = String(court || '').normalize('NFKC').replace(/\s+/g, '');
+    return compact && compact !== '정보없음' ? compact : null;
+}
+
+// 글에서 처음 나오는 법원 이름 ("수원지방법원 성남지원 2020가합1" → "수원지방법원성남지원")
+const COURT_RE = /[가-힣]*?법원(?:[가-힣]+?지원)?/;
+const courtIn = (text) => normalizeCourt((COURT_RE.exec(String(text || '').replace(/\s+/g, '')) || [])[0]);
+
+// 판결문 첫머리에 한 줄로 쓰인 법원 이름 ("서 울 중 앙 지 방 법 원")
+export function findCourtName(text) {
+    for (const line of String(text || '').split('\n').slice(0, 10)) {
+        const compact = normalizeCourt(line);
+        if (compact && /^[가-힣]+(?:법원|지원)$/.test(compact)) return compact;
+    }
+    return null;
+}
+
+// "서울고등법원 2020나1234" → { court, caseNo }. 법원 이름이 없으면 court 는 null
+export function parseCaseReference(value) {
+    const caseNo = normalizeCaseNo(value);
+    if (!caseNo) return null;
+    CASE_NO_RE.lastIndex = 0;
+    const m = CASE_NO_RE.exec(String(value));
+    return { court: courtIn(String(value).slice(0, m.index)), caseNo };
+}
+
+// 판결문 머리부분의 '사건', '제1심판결', '원심판결', '환송판결' 줄에서 사건번호를 모은다. 반환: [{ court, caseNo }]
+// '사건' 줄은 이 판결의 법원, 나머지는 그 줄에 적힌 법원(없으면 null)으로 본다.
+// 이유 부분에 인용된 다른 사건(대법원 판례 등)은 같은 사건이 아니므로 제외한다.
+const REFERENCE_LINE_RE = /^\s*(?:사\s*건|제\s*1\s*심\s*판\s*결|원\s*심\s*판\s*결|환\s*송\s*(?:전\s*원\s*심\s*)?판\s*결)/;
+const OWN_CASE_LINE_RE = /^\s*사\s*건/;
+
+export function findCaseReferences(text) {
+    const found = new Map();
+    const ownCourt = findCourtName(text);
+    const lines = (text || '').split('\n');
+    lines.forEach((line, i) => {
+        const label = REFERENCE_LINE_RE.exec(line);
+        if (!label) return;
+        // 사건번호가 다음 줄로 넘어가는 경우도 있다
+        let source = line.slice(label[0].length);
+        if (!normalizeCaseNo(source)) source += ` ${lines[i + 1] || ''}`;
+        const court = OWN_CASE_LINE_RE.test(line) ? ownCourt : courtIn(source);
+        CASE_NO_RE.lastIndex = 0;
+        for (const m of source.matchAll(CASE_NO_RE)) {
+            const caseNo = `${m[1]}${m[2]}${m[3]}`;
+            found.set(`${court}|${caseNo}`, { court, caseNo });
+        }
+    });
+    return [...found.values()];
+}
+
+// "2020가합12345" → { year: 2020, type: '가합', serial: 12345 } (형식이 맞지 않으면 null)
+export function parseCaseNo(caseNo) {
+    const normalized = normalizeCaseNo(caseNo);
+    if (!normalized) return null;
+    const [, year, type, serial] = /^(\d{4})([가-힣]+)(\d+)$/.exec(normalized);
+    return { year: Number(year), type, serial: Number(serial) };
+}
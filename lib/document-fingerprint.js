@@ -0,0 +1,67 @@
+// /lib/document-fingerprint.js
+// 중복 입력 확인: 원본 내용 해시(content_sha256)와 같은 사건 키(case_key: 법원 + 사건번호, lib/judgment-metadata).
+// - 내용, 정책, 마스킹 방식이 같은 문서가 이미 있으면 분석/마스킹 없이 기존 결과를 돌려준다 (같은 폴더를 다시 올리는 경우)
+//   정책이나 마스킹 방식을 바꿔 올린 것은 결과가 달라지므로 새로 처리한다.
+// - 사건 키가 같고 내용이 다르면 새 버전일 수 있다고 표시한다 (version_of, 검토자가 판단)
+// 격리(quarantined)된 문서는 결과가 없으므로 두 경우 모두 비교 대상에서 뺀다.
+// 다른 조직의 문서는 결과를 보여주면 안 되므로 같은 조직(organization_id) 안에서만 비교한다.
+import { QUEUE_TABLE } from './review-workflow.js';
+
+const VERSION_LOOKUP_LIMIT = 5;
+
+// 같은 조직의 문서만 (조직이 없던 이전 문서끼리는 organization_id 가 null)
+const inOrganization = (query, organizationId) => (organizationId ? query.eq('organization_id', organizationId) : query.is('organization_id', null));
+
+export async function findExactDuplicate(supabase, contentHash, { policy, maskMode, organizationId = null }) {
+    const query = supabase.from(QUEUE_TABLE)
+        .select('id, status, filename, source_format, policy, created_at, ai_result, redaction_report, court, case_no, case_key, case_year, case_type, case_serial, decision_date, instance_level, outcome')
+        .eq('content_sha256', contentHash)
+        .eq('policy', policy)
+        .eq('redaction_report->>maskMode', maskMode)
+        .neq('status', 'quarantined');
+    const { data, error } = await inOrganization(query, organizationId)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// 같은 사건의 다른 내용 문서 (최근 것부터)
+export async function findOtherVersions(supabase, caseKey, contentHash, organizationId = null) {
+    if (!caseKey) return [];
+    const query = supabase.from(QUEUE_TABLE)
+        .select('id, status, created_at')
+        .eq('case_key', caseKey)
+        .neq('content_sha256', contentHash)
+        .neq('status', 'quarantined');
+    const { data, error } = await inOrganization(query, organizationId)
+        .order('created_at', { ascending: false })
+        .limit(VERSION_LOOKUP_LIMIT);
+    if (error) throw error;
+    return data || [];
+}
+
+export const versionSummary = ({ id, status, created_at }) => ({ documentId: id, status, createdAt: created_at });
+
+// 이미 처리된 문서 → processDocument 와 같은 모양의 응답 (duplicate: true)
+export function duplicateResponse(doc) {
+    const { court, case_no, case_key, case_year, case_type, case_serial, decision_date, instance_level, outcome } = doc;
+    return {
+        status: 200,
+        body: {
+            success: true,
+            duplicate: true,
+            message: `이미 처리된 문서입니다 (#${doc.id}, ${doc.status}).`,
+            documentId: doc.id,
+            documentStatus: doc.status,
+            format: doc.source_format || 'pdf',
+            policy: doc.policy,
+            createdAt: doc.created_at,
+            extractedMeta: doc.ai_result?.meta || null,
+            judgment: { court, case_no, case_key, case_year, case_type, case_serial, decision_date, instance_level, outcome },
+            analysis: doc.ai_result?.analysis || null,
+            report: doc.redaction_report,
+        },
+    };
+}
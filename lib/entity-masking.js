@@ -0,0 +1,105 @@
+// /lib/entity-masking.js
+// 개체 단위 마스킹: 머리 부분을 통째로 지우는 대신, 본문 어디에 있든 당사자 이름/개인정보가 나온 자리만
+// 딱 맞는 상자로 지우고 그 자리에 가명("원고 A")이나 유형("주소")을 적는다. 이유 부분도 읽을 수 있게 남는다.
+import { rgb } from 'pdf-lib';
+import { rectsForRange } from './pdf/text-extract.js';
+import { actionOf, hiddenParties, partyClassOf } from './redaction-policies.js';
+
+export const MASK_MODES = ['band', 'entity'];
+export const DEFAULT_MASK_MODE = 'band';
+
+const LABEL_MAX_SIZE = 10;
+const LABEL_MIN_SIZE = 3;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 요청의 maskMode → 'band' | 'entity'. 값이 없으면 기본값, 알 수 없는 값이면 null.
+export function resolveMaskMode(mode) {
+    if (mode === undefined || mode === null || mode === '') return DEFAULT_MASK_MODE;
+    return MASK_MODES.includes(mode) ? mode : null;
+}
+
+// "주식회사 가나" 는 "(주)가나", "가나" 로도 나온다. 두 글자 미만은 오탐이 많아 쓰지 않는다.
+function nameVariants(name) {
+    const full = String(name || '').normalize('NFKC').trim();
+    const core = full.replace(/주식회사|\(주\)|㈜|유한회사|\(유\)/g, '').trim();
+    return [...new Set([full, core])].filter((v) => v.replace(/\s/g, '').length >= 2);
+}
+
+// 글자 사이 띄어쓰기/줄바꿈("홍 길 동", 줄 끝에서 나뉜 이름)도 잡는다
+function nameRegExp(variants) {
+    const patterns = variants
+        .sort((a, b) => b.length - a.length)
+        .map((v) => Array.from(v.replace(/\s/g, '')).map(escapeRe).join('\\s*'));
+    return new RegExp(patterns.join('|'), 'g');
+}
+
+// 정책에서 가명/삭제 대상인 이름들 → [{ name, type, label }]. 가명 대상은 가명을, 삭제 대상은 이름표 없이 지운다.
+// 법원 이름(court: remove)도 같은 방식으로 찾는다.
+export function mentionTargets(policy, parties, meta = {}) {
+    const targets = hiddenParties(policy, parties).map((party) => ({
+        name: party.name,
+        type: 'party_name',
+        label: actionOf(policy, partyClassOf(party)) === 'pseudonymize' ? party.pseudonym : null,
+    }));
+    if (actionOf(policy, 'court') === 'remove' && meta.court && meta.court !== '정보없음') {
+        targets.push({ name: meta.court, type: 'court', label: null });
+    }
+    return targets;
+}
+
+// 글자 위치만 찾는다 (PDF 글자 상자 없이). DOCX/HWPX 문단에도 쓴다.
+// texts: [{ text, ... }], targets: [{ name, type, label }] → [{ type, label, start, end, source }] (source: 찾은 texts 항목)
+export function findNameMentions(texts, targets) {
+    const byName = new Map();
+    for (const target of targets) {
+        if (target && target.name && !byName.has(target.name)) byName.set(target.name, target);
+    }
+
+    // 긴 이름부터 찾아 "홍길동" 안의 "길동" 같은 겹침을 막는다
+    const matchers = [...byName.values()]
+        .sort((a, b) => b.name.length - a.name.length)
+        .map((party) => ({ party, variants: nameVariants(party.name) }))
+        .filter(({ variants }) => variants.length)
+        .map(({ party, variants }) => ({ party, re: nameRegExp(variants) }));
+
+    const mentions = [];
+    for (const source of texts) {
+        const taken = [];
+        for (const { party, re } of matchers) {
+            re.lastIndex = 0;
+            for (let m = re.exec(source.text); m; m = re.exec(source.text)) {
+                const start = m.index;
+                const end = start + m[0].length;
+                if (taken.some(([s, e]) => start < e && s < end)) continue;
+                taken.push([start, end]);
+                mentions.push({ type: party.type, label: party.label, start, end, source });
+            }
+        }
+    }
+    return mentions;
+}
+
+// targets: [{ name, type, label }] → [{ type, pageIndex, label, start, end, rects }]
+export function findPartyMentions(pageTexts, targets) {
+    return findNameMentions(pageTexts, targets).map(({ source: page, ...mention }) => ({
+        ...mention,
+        pageIndex: page.pageIndex,
+        rects: rectsForRange(page, mention.start, mention.end),
+    }));
+}
+
+// 지운 자리에 회색 상자를 덮고 이름표를 상자 크기에 맞춰 적는다. 여러 줄에 걸친 경우 첫 줄에만 적는다.
+export function drawEntityBox(page, font, { rect, label, first }) {
+    const [x0, y0, x1, y1] = rect;
+    const width = x1 - x0;
+    const height = y1 - y0;
+    page.drawRectangle({ x: x0, y: y0, width, height, color: rgb(0.85, 0.85, 0.85) });
+    if (!first || !label) return;
+
+    let size = Math.min(height * 0.8, LABEL_MAX_SIZE);
+    const textWidth = font.widthOfTextAtSize(label, size);
+    if (textWidth > width - 2) size *= (width - 2) / textWidth;
+    if (size < LABEL_MIN_SIZE) return;
+    page.drawText(label, { x: x0 + 1, y: y0 + (height - size) / 2 + size * 0.15, size, font, color: rgb(0.1, 0.1, 0.1) });
+}
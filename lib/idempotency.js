@@ -0,0 +1,89 @@
+// /lib/idempotency.js
+// 멱등 키: 클라이언트가 Idempotency-Key 헤더를 보내면 같은 키의 재시도는 다시 처리하지 않는다.
+// - 동기 API(api/redact-document): idempotency_keys 표에 처리 중/완료 상태와 응답을 남기고, 완료된 키는 저장한 응답을 돌려준다
+// - 작업 API(api/jobs): 키를 작업(redaction_jobs.idempotency_key)에 두고 같은 작업을 돌려준다 (lib/redaction-jobs)
+// 키를 다른 요청 내용으로 다시 쓰면 422. 다시 시도할 가치가 있는 실패(5xx, 409, 한도 초과 429)는 키를 지워 재시도가 처리되게 한다.
+import crypto from 'node:crypto';
+
+export const IDEMPOTENCY_TABLE = 'idempotency_keys';
+
+// 완료된 키를 기억하는 기간. 지나면 같은 키도 새 요청으로 본다.
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// 처리 중인 채로 이보다 오래되면 중간에 끊긴 요청으로 보고 다시 처리한다
+const STALE_AFTER_MS = 320 * 1000;
+const KEY_PATTERN = /^[\x21-\x7e]{8,255}$/;
+
+export class IdempotencyError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'IdempotencyError';
+        this.status = status;
+    }
+}
+
+// 헤더가 없으면 null
+export function idempotencyKeyOf(req) {
+    const key = req.headers['idempotency-key'];
+    if (key === undefined || key === '') return null;
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+        throw new IdempotencyError(400, "Idempotency-Key 는 공백 없는 8~255자 ASCII 문자열이어야 합니다.");
+    }
+    return key;
+}
+
+// 키는 사용자마다 따로 둔다 (다른 사용자가 같은 키를 보내도 그 응답을 받지 않게)
+export const scopeIdempotencyKey = (key, userId) => `${userId}:${key}`;
+
+// 같은 요청인지 비교할 값 (파일 본문은 해시로만 남긴다)
+export function requestHash(body = {}) {
+    const { fileBase64, fileName, uploadId, maskMode, policy, reportPage, relatedCaseNos } = body;
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([fileBase64 || null, fileName || null, uploadId || null, maskMode || null, policy || null, reportPage === true, relatedCaseNos || null]))
+        .digest('hex');
+}
+
+// 반환: { replay: { status, body } } (이미 끝난 요청) 또는 { replay: null } (이번 요청이 처리한다)
+export async function claimIdempotencyKey(supabase, key, hash) {
+    const { data: inserted, error } = await supabase.from(IDEMPOTENCY_TABLE)
+        .upsert({ key, request_hash: hash, status: 'processing' }, { onConflict: 'key', ignoreDuplicates: true })
+        .select('key');
+    if (error) throw error;
+    if (inserted?.length) return { replay: null };
+
+    const { data: existing, error: readError } = await supabase.from(IDEMPOTENCY_TABLE).select('*').eq('key', key).maybeSingle();
+    if (readError) throw readError;
+    // 그 사이 실패로 지워진 키는 다시 잡는다
+    if (!existing) return claimIdempotencyKey(supabase, key, hash);
+
+    const age = Date.now() - new Date(existing.updated_at).getTime();
+    const expired = existing.status === 'completed' ? age > KEY_TTL_MS : age > STALE_AFTER_MS;
+    if (!expired) {
+        if (existing.request_hash !== hash) throw new IdempotencyError(422, "같은 Idempotency-Key 로 다른 요청이 이미 접수되었습니다.");
+        if (existing.status === 'completed') return { replay: existing.response };
+        throw new IdempotencyError(409, "같은 요청을 처리하고 있습니다. 잠시 후 다시 시도하세요.");
+    }
+
+    // 만료된 키: 마지막으로 본 상태일 때만 넘겨받는다 (동시에 두 요청이 넘겨받지 않게)
+    const { data: reclaimed, error: reclaimError } = await supabase.from(IDEMPOTENCY_TABLE)
+        .update({ request_hash: hash, status: 'processing', response: null, updated_at: new Date().toISOString() })
+        .eq('key', key)
+        .eq('updated_at', existing.updated_at)
+        .select('key')
+        .maybeSingle();
+    if (reclaimError) throw reclaimError;
+    if (!reclaimed) throw new IdempotencyError(409, "같은 요청을 처리하고 있습니다. 잠시 후 다시 시도하세요.");
+    return { replay: null };
+}
+
+// 처리 결과를 키에 남긴다. 다시 시도할 가치가 있는 실패는 키를 지운다.
+export async function settleIdempotencyKey(supabase, key, { status, body }) {
+    if (status >= 500 || status === 409 || status === 429) {
+        const { error } = await supabase.from(IDEMPOTENCY_TABLE).delete().eq('key', key);
+        if (error) throw error;
+        return;
+    }
+    const { error } = await supabase.from(IDEMPOTENCY_TABLE)
+        .update({ status: 'completed', response: { status, body }, updated_at: new Date().toISOString() })
+        .eq('key', key);
+    if (error) throw error;
+}
@@ -0,0 +1,115 @@
+// /lib/judgment-metadata.js
+// 검색용 판결 메타데이터: 분석 결과(meta)와 판결문 머리 부분에서 법원, 사건번호(연도/사건부호/일련번호),
+// 선고일, 심급, 결과를 뽑아 document_queue 컬럼으로 저장한다 (api/documents 목록에서 필터).
+// 주문/청구취지 검색은 ai_result.meta 의 가명 처리된 값으로 만든 search_text 컬럼(마이그레이션 0009)을 쓴다.
+import { parseCaseNo } from './case-number.js';
+
+// 사건부호 → 종류와 심급 (대법원 사건별 부호문자의 부여에 관한 예규 중 자주 쓰는 것)
+export const CASE_TYPES = {
+    가합: { label: '민사 1심 합의', instance: 1 },
+    가단: { label: '민사 1심 단독', instance: 1 },
+    가소: { label: '민사 소액', instance: 1 },
+    나: { label: '민사 항소', instance: 2 },
+    다: { label: '민사 상고', instance: 3 },
+    라: { label: '민사 항고', instance: 2 },
+    마: { label: '민사 재항고', instance: 3 },
+    카합: { label: '민사 신청(합의)', instance: 1 },
+    카단: { label: '민사 신청(단독)', instance: 1 },
+    고합: { label: '형사 1심 합의', instance: 1 },
+    고단: { label: '형사 1심 단독', instance: 1 },
+    고정: { label: '형사 약식 정식재판', instance: 1 },
+    노: { label: '형사 항소', instance: 2 },
+    도: { label: '형사 상고', instance: 3 },
+    구합: { label: '행정 1심', instance: 1 },
+    구단: { label: '행정 1심 단독', instance: 1 },
+    누: { label: '행정 항소', instance: 2 },
+    두: { label: '행정 상고', instance: 3 },
+    드합: { label: '가사 1심 합의', instance: 1 },
+    드단: { label: '가사 1심 단독', instance: 1 },
+    르: { label: '가사 항소', instance: 2 },
+    므: { label: '가사 상고', instance: 3 },
+    브: { label: '가사 항고', instance: 2 },
+    스: { label: '가사 재항고', instance: 3 },
+    허: { label: '특허 심결취소', instance: 2 },
+    후: { label: '특허 상고', instance: 3 },
+};
+
+export const OUTCOMES = {
+    granted: '인용',
+    partially_granted: '일부 인용',
+    dismissed: '기각',
+    rejected: '각하',
+    appeal_dismissed: '항소/상고 기각',
+    reversed: '원판결 취소/파기',
+    remanded: '파기환송',
+    convicted: '유죄',
+    acquitted: '무죄',
+};
+
+// 주문 문구 → 결과. 여러 항이 섞여 있으면 위 규칙부터 적용한다 (상소심 결론이 청구 인용 문구보다 우선).
+const OUTCOME_RULES = [
+    ['remanded', /파\s*기.{0,40}환\s*송|환송한다/s],
+    ['reversed', /파\s*기한다/],
+    ['appeal_dismissed', /(?:항소|상고|재항고|항고)(?:를|을)?\s*(?:모두\s*)?기각/],
+    ['reversed', /(?:제1심|원심)\s*판결.{0,40}취소/s],
+    ['acquitted', /무죄/],
+    ['convicted', /징역|금고|벌금|선고를\s*유예/],
+    ['partially_granted', /나머지\s*청구(?:를|는)?\s*(?:모두\s*)?기각/],
+    ['rejected', /(?:소|청구|신청)(?:를|을)?\s*(?:모두\s*)?각하/],
+    ['dismissed', /(?:청구|신청)(?:를|을)?\s*(?:모두\s*)?기각/],
+    ['granted', /(?:지급|이행|인도|명도|철거|말소|이전등기|등기절차를\s*이행)(?:하라|한다)|확인한다|취소한다/],
+];
+
+export function classifyOutcome(order) {
+    const text = String(order || '');
+    const rule = OUTCOME_RULES.find(([, re]) => re.test(text));
+    return rule ? rule[0] : null;
+}
+
+// 사건부호로 알 수 없으면 법원 이름으로 (지방법원 항소부 사건은 부호가 '나'/'노' 라 위에서 걸린다)
+export function instanceOf(caseType, court) {
+    if (CASE_TYPES[caseType]) return CASE_TYPES[caseType].instance;
+    if (/대법원/.test(court || '')) return 3;
+    if (/고등법원|특허법원/.test(court || '')) return 2;
+    if (/지방법원|지원|가정법원|행정법원|회생법원/.test(court || '')) return 1;
+    return null;
+}
+
+// 머리 부분의 "판결선고 2024. 3. 15." 줄 (변론종결일은 제외). 반환: 'YYYY-MM-DD' 또는 null
+const DECISION_DATE_RE = /선\s*고\s*[:：]?\s*((?:19|20)\d{2})\s*[.년]\s*(\d{1,2})\s*[.월]\s*(\d{1,2})/;
+
+export function findDecisionDate(headerText) {
+    const m = DECISION_DATE_RE.exec(headerText || '');
+    if (!m) return null;
+    const [year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])];
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+// 같은 사건 판단 키: 공백을 뺀 법원 이름 + 정규화한 사건번호 (둘 중 하나라도 없으면 null)
+// 내용 해시가 다른데 이 키가 같으면 같은 판결의 다른 버전일 수 있다 (lib/document-fingerprint.js)
+export function caseKeyOf(court, caseNo) {
+    const normalizedCourt = String(court || '').replace(/\s+/g, '');
+    return normalizedCourt && caseNo ? `${normalizedCourt}|${caseNo}` : null;
+}
+
+const known = (value) => (typeof value === 'string' && value.trim() && value !== '정보없음' ? value.trim() : null);
+
+// document_queue 에 저장할 컬럼. 검토자가 메타데이터를 고친 뒤에는 본문 없이 다시 계산하므로 선고일은 decisionDate 로 넘긴다.
+export function judgmentColumns(meta, { headerText = '', decisionDate = null } = {}) {
+    const court = known(meta.court);
+    const caseNo = parseCaseNo(known(meta.caseNo));
+    const normalizedCaseNo = caseNo ? `${caseNo.year}${caseNo.type}${caseNo.serial}` : null;
+    return {
+        court,
+        case_no: normalizedCaseNo,
+        case_key: caseKeyOf(court, normalizedCaseNo),
+        case_year: caseNo?.year ?? null,
+        case_type: caseNo?.type ?? null,
+        case_serial: caseNo?.serial ?? null,
+        decision_date: findDecisionDate(headerText) || decisionDate,
+        instance_level: instanceOf(caseNo?.type, court),
+        outcome: classifyOutcome(meta.order_anonymized),
+    };
+}
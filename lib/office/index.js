@@ -0,0 +1,285 @@
+// /lib/office/index.js
+// DOCX(워드)/HWPX(한글) 판결문: 패키지를 열어 문단 텍스트를 뽑고, 고친 텍스트와 정리한 문서 속성으로 같은 형식의 파일을 다시 만든다.
+// 본문뿐 아니라 머리글/바닥글, 각주/미주, 메모, 변경 내용 추적의 삭제된 글도 같은 문단 텍스트로 다룬다.
+// 문단 텍스트가 아닌 필드 코드와 외부 링크 주소는 지운다 (stripLinks).
+// 이전 바이너리 형식(.doc, .hwp)은 구조가 달라 받지 않는다.
+import { readZip, writeZip, isZip, ZipError } from './zip.js';
+import { readParagraphs, rewriteParagraphs, decodeXml } from './xml-text.js';
+
+export const SOURCE_FORMATS = ['pdf', 'docx', 'hwpx'];
+
+export const CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    hwpx: 'application/hwp+zip',
+};
+
+// 렌더링한 PDF 와 처리 내역에 쓰는 부분 이름
+export const PART_KINDS = {
+    body: '본문',
+    header_footer: '머리글/바닥글',
+    note: '각주/미주',
+    comment: '메모',
+};
+
+// 미리보기 이미지를 바꿔 넣을 흰색 1x1 PNG
+const BLANK_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/x8AAwMCAO+ip1sAAAAASUVORK5CYII=', 'base64');
+const PREVIEW_TEXT_LENGTH = 1000;
+
+// 파일 형식/구조 문제 (400)
+export class OfficeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OfficeError';
+        this.status = 400;
+    }
+}
+
+const view = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+
+// PDF 머리(%PDF-)는 앞부분 1KB 안 어디에 있어도 된다
+export const isPdf = (bytes) => view(bytes).subarray(0, 1024).includes('%PDF-');
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// 문서 XML 의 네임스페이스 접두어 (대부분 w:, hp: 이지만 만든 프로그램에 따라 다르다)
+const prefixOf = (xml, namespace, fallback) => new RegExp(`xmlns:([\\w.-]+)="${namespace}"`).exec(xml)?.[1] || fallback;
+
+const FORMATS = {
+    docx: {
+        partKind(name) {
+            if (name === 'word/document.xml') return 'body';
+            if (/^word\/(header|footer)\d*\.xml$/.test(name)) return 'header_footer';
+            if (/^word\/(footnotes|endnotes)\.xml$/.test(name)) return 'note';
+            if (name === 'word/comments.xml') return 'comment';
+            return null;
+        },
+        dialect(xml) {
+            const w = prefixOf(xml, 'http://schemas\\.openxmlformats\\.org/wordprocessingml/2006/main', 'w');
+            return {
+                paragraph: `${w}:p`,
+                text: [`${w}:t`, `${w}:delText`],
+                breaks: { [`${w}:tab`]: '\t', [`${w}:br`]: '\n', [`${w}:cr`]: '\n' },
+                preserveSpace: true,
+            };
+        },
+    },
+    hwpx: {
+        // 머리글/바닥글, 각주, 메모는 구역(section) XML 안에 문단으로 들어 있다
+        partKind: (name) => (/^Contents\/section\d+\.xml$/.test(name) ? 'body' : null),
+        dialect(xml) {
+            const hp = prefixOf(xml, 'http://www\\.hancom\\.co\\.kr/hwpml/\\d+/paragraph', 'hp');
+            return {
+                paragraph: `${hp}:p`,
+                text: [`${hp}:t`],
+                breaks: { [`${hp}:tab`]: '\t', [`${hp}:lineBreak`]: '\n' },
+                preserveSpace: false,
+            };
+        },
+    },
+};
+
+function formatOf(entries) {
+    const names = new Set(entries.map((entry) => entry.name));
+    if (names.has('word/document.xml')) return 'docx';
+    const mimetype = entries.find((entry) => entry.name === 'mimetype');
+    if ((mimetype && mimetype.data.toString('latin1').trim() === 'application/hwp+zip') || names.has('Contents/content.hpf')) return 'hwpx';
+    return null;
+}
+
+// 반환: { format, entries, parts: [{ name, kind, xml, dialect, paragraphs }] }
+export function loadOfficePackage(bytes) {
+    const buf = view(bytes);
+    if (buf.subarray(0, 8).equals(OLE_SIGNATURE)) throw new OfficeError("이전 바이너리 형식(.doc, .hwp)은 처리할 수 없습니다. DOCX 또는 HWPX 로 저장해서 올려 주세요.");
+    if (!isZip(buf)) throw new OfficeError("PDF, DOCX, HWPX 파일만 처리할 수 있습니다.");
+
+    let entries;
+    try {
+        entries = readZip(buf);
+    } catch (e) {
+        if (e instanceof ZipError) throw new OfficeError(`문서 파일을 열 수 없습니다: ${e.message}`);
+        throw e;
+    }
+    const format = formatOf(entries);
+    if (!format) throw new OfficeError("DOCX/HWPX 문서 구조를 찾을 수 없습니다.");
+
+    const spec = FORMATS[format];
+    const parts = entries
+        .map((entry) => ({ entry, kind: spec.partKind(entry.name) }))
+        .filter(({ kind }) => kind)
+        .map(({ entry, kind }) => {
+            const xml = entry.data.toString('utf8');
+            const dialect = spec.dialect(xml);
+            return { name: entry.name, kind, xml, dialect, paragraphs: readParagraphs(xml, dialect) };
+        });
+    if (!parts.some((part) => part.kind === 'body')) throw new OfficeError("문서 본문을 찾을 수 없습니다.");
+    return { format, entries, parts };
+}
+
+// 문단 목록 [{ part, kind, paragraphIndex, text }] (빈 문단 포함, 문서 순서)
+export function officeTexts(pkg) {
+    return pkg.parts.flatMap((part) => part.paragraphs.map((paragraph, paragraphIndex) => ({
+        part: part.name, kind: part.kind, paragraphIndex, text: paragraph.text,
+    })));
+}
+
+// 요소 내용 비우기. 반환: [새 XML, 비운 요소 이름들]
+function clearElements(xml, pattern, replacement = () => '') {
+    const cleared = [];
+    const result = xml.replace(new RegExp(`<(${pattern})(\\s[^>]*)?>([\\s\\S]*?)</\\1>`, 'g'), (m, tag, attrs = '', content) => {
+        const value = replacement(tag);
+        if (content.trim() && decodeXml(content) !== value) cleared.push(tag.replace(/^[\w.-]+:/, ''));
+        return `<${tag}${attrs}>${value}</${tag}>`;
+    });
+    return [result, cleared];
+}
+
+// 작성자/검토자 속성(변경 내용 추적, 메모, 공동 작업자 목록) 비우기. 반환: [새 XML, 비운 값 개수]
+function clearAttributes(xml, pattern) {
+    let count = 0;
+    const result = xml.replace(new RegExp(`(\\s(?:${pattern})=")([^"]*)(")`, 'g'), (m, head, value, tail) => {
+        if (value) count++;
+        return head + tail;
+    });
+    return [result, count];
+}
+
+const escapeXmlText = (s) => String(s).replace(/[&<>]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[ch]);
+
+// 문서 속성, 작성자 이름, 미리보기(썸네일/미리보기 텍스트). files(이름 → 새 내용, null 이면 지움)에 고친 파일을 더한다.
+// 반환: { properties, authors, previews }
+function cleanPackageMetadata(pkg, files, { title, previewText }) {
+    const properties = new Set();
+    let authors = 0;
+    let previews = 0;
+    const text = (name) => pkg.entries.find((entry) => entry.name === name)?.data.toString('utf8');
+    const edit = (name, fn) => {
+        const xml = files.has(name) ? files.get(name).toString('utf8') : text(name);
+        if (xml === undefined) return;
+        files.set(name, Buffer.from(fn(xml), 'utf8'));
+    };
+    const clear = (pattern, replacement) => (xml) => {
+        const [result, cleared] = clearElements(xml, pattern, replacement);
+        cleared.forEach((name) => properties.add(name));
+        return result;
+    };
+    const titleValue = (tag) => (/title$/.test(tag) && title ? escapeXmlText(title) : '');
+
+    if (pkg.format === 'docx') {
+        edit('docProps/core.xml', clear('dc:title|dc:subject|dc:creator|dc:description|cp:keywords|cp:lastModifiedBy|cp:category|cp:contentStatus', titleValue));
+        edit('docProps/app.xml', clear('Company|Manager|HyperlinkBase'));
+        edit('docProps/custom.xml', clear('vt:lpwstr|vt:lpstr|vt:bstr'));
+        for (const { name } of pkg.entries) {
+            if (!/^word\/.+\.xml$/.test(name)) continue;
+            edit(name, (xml) => {
+                const [result, count] = clearAttributes(xml, '[\\w.-]+:(?:author|initials|userId|providerId)');
+                authors += count;
+                return result;
+            });
+        }
+        // 첫 페이지 썸네일: 파일과 관계를 지운다
+        for (const { name } of pkg.entries) {
+            if (!/^docProps\/thumbnail\.\w+$/.test(name)) continue;
+            files.set(name, null);
+            edit('_rels/.rels', (xml) => xml.replace(new RegExp(`<Relationship\\b[^>]*Target="/?${name.replace('.', '\\.')}"[^>]*/>`, 'g'), ''));
+            previews++;
+        }
+    } else {
+        edit('Contents/content.hpf', clear('opf:title|opf:meta', titleValue));
+        edit('Contents/header.xml', (xml) => xml.replace(/(<[\w.-]+:trackChangeAuthor\b[^>]*?\sname=")([^"]*)(")/g, (m, head, value, tail) => {
+            if (value) authors++;
+            return head + tail;
+        }));
+        // 미리보기: 이미지는 흰 이미지로, 텍스트는 고친 본문 앞부분으로 바꾼다 (한글 파일 탐색기 미리보기에 쓰인다)
+        if (text('Preview/PrvImage.png') !== undefined) {
+            files.set('Preview/PrvImage.png', BLANK_PNG);
+            previews++;
+        }
+        if (text('Preview/PrvText.txt') !== undefined) {
+            files.set('Preview/PrvText.txt', Buffer.from(previewText.slice(0, PREVIEW_TEXT_LENGTH), 'utf8'));
+            previews++;
+        }
+    }
+    return { properties: [...properties], authors, previews };
+}
+
+// 쪽 번호처럼 서식만 나타내는 필드 코드 (스위치만 붙는다: "PAGE \\* MERGEFORMAT")
+const LAYOUT_FIELD_RE = /^\s*(?:(?:PAGE|NUMPAGES|SECTIONPAGES|SECTION)(?!\w))?(?:\s*\\[*#@!]?\s*\w*)*\s*$/i;
+const EXTERNAL_TARGET = 'about:blank';
+
+// DOCX 의 필드 코드(w:instrText, w:fldSimple 의 w:instr)와 외부 관계 대상(word/_rels/*.rels 의 TargetMode="External")은
+// 문단 텍스트가 아니어서 이름/개인정보를 찾거나 바꾸지 못한다 (HYPERLINK "mailto:...", INCLUDETEXT "C:\\사건\\..." 등).
+// 서식 필드가 아닌 필드 코드는 비우고(표시된 결과 글은 본문으로 처리된다), 외부 대상 주소는 about:blank 로 바꾼다.
+// files 에 고친 파일을 더한다. 반환: { fieldCodes, externalTargets }
+function stripLinks(pkg, files) {
+    let fieldCodes = 0;
+    let externalTargets = 0;
+    if (pkg.format !== 'docx') return { fieldCodes, externalTargets };
+    const edit = (name, fn) => {
+        const entry = pkg.entries.find((e) => e.name === name);
+        const xml = files.has(name) ? files.get(name).toString('utf8') : entry.data.toString('utf8');
+        const result = fn(xml);
+        if (result !== xml) files.set(name, Buffer.from(result, 'utf8'));
+    };
+
+    for (const { name } of pkg.entries) {
+        if (/^word\/[^/]+\.xml$/.test(name)) {
+            edit(name, (xml) => xml
+                .replace(/(<([\w.-]+:instrText)\b[^>]*>)([\s\S]*?)(<\/\2>)/g, (m, open, tag, code, close) => {
+                    if (LAYOUT_FIELD_RE.test(decodeXml(code))) return m;
+                    fieldCodes++;
+                    return open + close;
+                })
+                .replace(/(\s[\w.-]+:instr=")([^"]*)(")/g, (m, head, code, tail) => {
+                    if (LAYOUT_FIELD_RE.test(decodeXml(code))) return m;
+                    fieldCodes++;
+                    return head + tail;
+                }));
+        } else if (/^word\/_rels\/[^/]+\.rels$/.test(name)) {
+            edit(name, (xml) => xml.replace(/<Relationship\b[^>]*\/>/g, (rel) => {
+                if (!/\sTargetMode="External"/.test(rel)) return rel;
+                return rel.replace(/(\sTarget=")([^"]*)(")/, (m, head, target, tail) => {
+                    if (target === EXTERNAL_TARGET) return m;
+                    externalTargets++;
+                    return head + EXTERNAL_TARGET + tail;
+                });
+            }));
+        }
+    }
+    return { fieldCodes, externalTargets };
+}
+
+// edits: Map(부분 이름 → 문단별 [{ start, end, replacement }]) (officeTexts 의 part/paragraphIndex 기준)
+// metadata: { title } — 문서 제목으로 남길 값 (정책이 rewrite 일 때 사건번호, 아니면 비움)
+// 반환: { bytes, texts (고친 문단 목록), metadata: { properties, authors, previews }, links: { fieldCodes, externalTargets } }
+export function rewriteOfficePackage(pkg, edits, { title = '' } = {}) {
+    const rewritten = new Map();
+    const parts = pkg.parts.map((part) => {
+        const partEdits = edits.get(part.name);
+        if (!partEdits) return part;
+        const xml = rewriteParagraphs(part.xml, part.paragraphs, partEdits, part.dialect);
+        rewritten.set(part.name, Buffer.from(xml, 'utf8'));
+        return { ...part, xml, paragraphs: readParagraphs(xml, part.dialect) };
+    });
+    const redacted = { ...pkg, parts };
+    const texts = officeTexts(redacted);
+
+    const previewText = texts.filter((t) => t.kind === 'body').map((t) => t.text).join('\r\n');
+    const files = new Map(rewritten);
+    const { properties, authors, previews } = cleanPackageMetadata(redacted, files, { title, previewText });
+    const links = stripLinks(redacted, files);
+
+    const entries = pkg.entries
+        .filter((entry) => files.get(entry.name) !== null)
+        .map((entry) => (files.has(entry.name) ? { ...entry, data: files.get(entry.name) } : entry));
+    return { bytes: writeZip(entries), texts, metadata: { properties, authors, previews }, links };
+}
+
+// 검증용: 패키지 안 XML/텍스트 파일마다 문단 텍스트와 원문(속성 값 포함)을 합친 텍스트 [{ part, text }]
+export function packageTexts(bytes) {
+    const pkg = loadOfficePackage(bytes);
+    const paragraphs = new Map(pkg.parts.map((part) => [part.name, part.paragraphs.map((p) => p.text).join('\n')]));
+    return pkg.entries
+        .filter((entry) => /\.(xml|rels|hpf|txt)$/i.test(entry.name))
+        .map((entry) => ({ part: entry.name, text: `${paragraphs.get(entry.name) || ''}\n${decodeXml(entry.data.toString('utf8'))}` }));
+}
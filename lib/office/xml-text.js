@@ -0,0 +1,110 @@
+// /lib/office/xml-text.js
+// 문서 XML 에서 문단 단위 텍스트를 뽑고, 그 텍스트 위치 기준으로 고친 내용을 다시 XML 에 써 넣는다.
+// 워드/한글은 글자 서식이 바뀌는 곳마다 텍스트를 여러 조각(run)으로 나누므로 이름 하나가 여러 조각에 걸칠 수 있다.
+// 바꾼 글은 구간이 시작하는 조각에 쓰고 나머지 조각에서는 지운다 (조각의 서식/구조는 그대로 둔다).
+// dialect: { paragraph: 'w:p', text: ['w:t', 'w:delText'], breaks: { 'w:tab': '\t', 'w:br': '\n' }, preserveSpace: true }
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+export const decodeXml = (s) => s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] !== '#') return ENTITIES[code] ?? m;
+    return String.fromCodePoint(code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+});
+
+export const encodeXml = (s) => s.replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 반환: [{ text, segments: [{ from, to, xmlStart, xmlEnd, tagEnd, preserved }] }]
+// segments 는 고칠 수 있는 텍스트 조각(XML 위치 포함). 탭/줄바꿈 요소는 text 에만 들어가고 고치지 않는다.
+export function readParagraphs(xml, dialect) {
+    const textTags = dialect.text.map(escapeRe).join('|');
+    const breakTags = Object.keys(dialect.breaks).map(escapeRe).join('|');
+    const re = new RegExp(`<(${textTags})(?=[\\s/>])([^>]*?)(/?)>|<(${breakTags})(?=[\\s/>])[^>]*?/>|</${escapeRe(dialect.paragraph)}>`, 'g');
+
+    const paragraphs = [];
+    let current = { text: '', segments: [] };
+    for (let m = re.exec(xml); m; m = re.exec(xml)) {
+        if (m[4]) {
+            current.text += dialect.breaks[m[4]];
+        } else if (!m[1]) {
+            paragraphs.push(current);
+            current = { text: '', segments: [] };
+        } else if (!m[3]) {
+            const tagEnd = m.index + m[0].length - 1;
+            const close = xml.indexOf(`</${m[1]}>`, tagEnd);
+            if (close < 0) break;
+            addTextContent(current, xml, tagEnd + 1, close, { dialect, tagEnd, preserved: /xml:space\s*=\s*["']preserve/.test(m[2]) });
+            re.lastIndex = close;
+        }
+    }
+    if (current.segments.length || current.text) paragraphs.push(current);
+    return paragraphs;
+}
+
+// 텍스트 요소 안에 자식 요소가 있는 경우(한글의 <hp:tab/>, <hp:lineBreak/> 등) 그 사이 조각을 따로 잡는다
+function addTextContent(paragraph, xml, start, end, { dialect, tagEnd, preserved }) {
+    const childRe = /<\/?([^\s/>]+)[^>]*>/g;
+    childRe.lastIndex = start;
+    let pos = start;
+    const addSegment = (from, to) => {
+        if (from >= to) return;
+        const text = decodeXml(xml.slice(from, to));
+        paragraph.segments.push({ from: paragraph.text.length, to: paragraph.text.length + text.length, xmlStart: from, xmlEnd: to, tagEnd, preserved });
+        paragraph.text += text;
+    };
+    for (let m = childRe.exec(xml); m && m.index < end; m = childRe.exec(xml)) {
+        addSegment(pos, m.index);
+        paragraph.text += dialect.breaks[m[1]] ?? '';
+        pos = m.index + m[0].length;
+    }
+    addSegment(pos, end);
+}
+
+// edits: 문단별 [{ start, end, replacement }] (paragraphs 와 같은 순서, 겹치지 않음) → 고친 XML
+export function rewriteParagraphs(xml, paragraphs, editsByParagraph, dialect) {
+    const changes = [];
+    const preserveTags = new Set();
+
+    paragraphs.forEach((paragraph, index) => {
+        const edits = editsByParagraph[index];
+        if (!edits || !edits.length) return;
+        // 바꾼 글은 구간 안에서 고칠 수 있는 첫 글자 자리에 쓴다
+        const inSegment = (i) => paragraph.segments.some((s) => i >= s.from && i < s.to);
+        const anchored = edits.map((edit) => {
+            let anchor = edit.start;
+            while (anchor < edit.end && !inSegment(anchor)) anchor++;
+            return { ...edit, anchor };
+        });
+
+        for (const segment of paragraph.segments) {
+            let out = '';
+            let changed = false;
+            for (let i = segment.from; i < segment.to; i++) {
+                const edit = anchored.find((e) => i >= e.start && i < e.end);
+                if (!edit) {
+                    out += paragraph.text[i];
+                    continue;
+                }
+                changed = true;
+                if (i === edit.anchor) out += edit.replacement;
+            }
+            if (!changed) continue;
+            changes.push({ start: segment.xmlStart, end: segment.xmlEnd, text: encodeXml(out) });
+            if (dialect.preserveSpace && !segment.preserved) preserveTags.add(segment.tagEnd);
+        }
+    });
+
+    // 앞뒤 공백이 생긴 조각이 잘리지 않게 xml:space="preserve" 를 붙인다 (워드)
+    for (const tagEnd of preserveTags) changes.push({ start: tagEnd, end: tagEnd, text: ' xml:space="preserve"' });
+
+    changes.sort((a, b) => a.start - b.start);
+    const parts = [];
+    let pos = 0;
+    for (const { start, end, text } of changes) {
+        parts.push(xml.slice(pos, start), text);
+        pos = end;
+    }
+    parts.push(xml.slice(pos));
+    return parts.join('');
+}
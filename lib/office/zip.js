@@ -0,0 +1,161 @@
+// /lib/office/zip.js
+// DOCX/HWPX 는 XML 파일들을 묶은 ZIP 이다. 필요한 만큼만 읽고 쓴다 (저장/deflate, ZIP64·암호화는 지원하지 않음).
+// 다시 쓸 때는 항목 순서와 압축 방식을 그대로 둔다 (HWPX 는 mimetype 이 맨 앞에 압축 없이 있어야 열린다).
+import zlib from 'node:zlib';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+// 압축을 푼 전체 크기 상한 (압축 폭탄 방지)
+export const MAX_UNCOMPRESSED_SIZE = 200 * 1024 * 1024;
+
+export class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+    }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 손상된 오프셋/길이로 버퍼 밖을 읽으려 하면 (Node RangeError 대신) ZipError
+function ensureWithin(buf, start, length, what) {
+    if (start < 0 || start + length > buf.length) throw new ZipError(`ZIP ${what}의 위치가 파일 범위를 벗어났습니다 (파일이 손상되었거나 잘렸습니다).`);
+}
+
+export const isZip = (bytes) => bytes.length >= 4 && Buffer.from(bytes.buffer, bytes.byteOffset, 4).readUInt32LE(0) === LOCAL_HEADER;
+
+// 반환: [{ name, method, data }] (data 는 압축을 푼 Buffer, 중앙 디렉터리 순서)
+export function readZip(bytes) {
+    const buf = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+    let eocd = -1;
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+        if (buf.readUInt32LE(i) === END_OF_CENTRAL) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new ZipError("ZIP 구조를 찾을 수 없습니다 (파일이 손상되었거나 잘렸습니다).");
+
+    const count = buf.readUInt16LE(eocd + 10);
+    let offset = buf.readUInt32LE(eocd + 16);
+    if (count === 0xffff || offset === 0xffffffff) throw new ZipError("ZIP64 형식은 지원하지 않습니다.");
+
+    const entries = [];
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        ensureWithin(buf, offset, 46, '목록');
+        if (buf.readUInt32LE(offset) !== CENTRAL_HEADER) throw new ZipError("ZIP 목록이 손상되었습니다.");
+        const flags = buf.readUInt16LE(offset + 8);
+        const method = buf.readUInt16LE(offset + 10);
+        const crc = buf.readUInt32LE(offset + 16);
+        const compressedSize = buf.readUInt32LE(offset + 20);
+        const size = buf.readUInt32LE(offset + 24);
+        const nameLength = buf.readUInt16LE(offset + 28);
+        const extraLength = buf.readUInt16LE(offset + 30);
+        const commentLength = buf.readUInt16LE(offset + 32);
+        const localOffset = buf.readUInt32LE(offset + 42);
+        ensureWithin(buf, offset, 46 + nameLength + extraLength + commentLength, '목록');
+        const name = buf.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & 0x1) throw new ZipError("암호가 걸린 파일은 처리할 수 없습니다.");
+        if (method !== 0 && method !== 8) throw new ZipError(`지원하지 않는 압축 방식입니다 (${name}: ${method}).`);
+        total += size;
+        if (total > MAX_UNCOMPRESSED_SIZE) throw new ZipError(`압축을 푼 크기가 너무 큽니다 (최대 ${MAX_UNCOMPRESSED_SIZE / 1024 / 1024}MB).`);
+
+        ensureWithin(buf, localOffset, 30, `항목(${name})`);
+        if (buf.readUInt32LE(localOffset) !== LOCAL_HEADER) throw new ZipError(`ZIP 항목이 손상되었습니다 (${name}).`);
+        const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+        ensureWithin(buf, dataStart, compressedSize, `항목(${name}) 데이터`);
+        const raw = buf.subarray(dataStart, dataStart + compressedSize);
+        const data = method === 0 ? Buffer.from(raw) : inflateEntry(raw, size, name);
+        if (data.length !== size || crc32(data) !== crc) {
+            throw new ZipError(`ZIP 항목의 크기/CRC 가 맞지 않습니다 (${name}).`);
+        }
+        entries.push({ name, method, data });
+    }
+    return entries;
+}
+
+// 적힌 크기보다 크게 풀리면(RangeError) 압축 폭탄이나 손상으로 보고, 깨진 압축 데이터와 함께 ZipError 로 바꾼다
+function inflateEntry(raw, size, name) {
+    try {
+        return zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    } catch (e) {
+        if (e instanceof RangeError) throw new ZipError(`ZIP 항목이 적힌 크기보다 크게 풀립니다 (${name}).`);
+        throw new ZipError(`ZIP 항목의 압축을 풀 수 없습니다 (${name}: ${e.message}).`);
+    }
+}
+
+// DOS 날짜/시간 (항목마다 같은 값을 쓴다)
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// entries: [{ name, method, data }] → ZIP Buffer
+export function writeZip(entries, date = new Date()) {
+    const { time, day } = dosDateTime(date);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, method, data } of entries) {
+        const nameBytes = Buffer.from(name, 'utf8');
+        const body = method === 0 ? data : zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(day, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, body);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(day, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(body.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBytes);
+
+        offset += local.length + nameBytes.length + body.length;
+    }
+
+    const centralSize = centrals.reduce((sum, b) => sum + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, ...centrals, end]);
+}
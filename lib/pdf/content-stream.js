@@ -0,0 +1,309 @@
+// /lib/pdf/content-stream.js
+// PDF 콘텐츠 스트림(및 CMap) 토크나이저 / 직렬화기
+// 연산자 단위로 파싱해서 수정한 뒤 다시 바이트로 쓰기 위해 사용한다.
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+
+const isRegular = (b) => !WHITESPACE.has(b) && !DELIMITERS.has(b);
+const latin1 = (bytes, start, end) => {
+    let out = '';
+    for (let i = start; i < end; i++) out += String.fromCharCode(bytes[i]);
+    return out;
+};
+
+// 피연산자 표현
+//  - 숫자/불리언/null: JS 원시값
+//  - 문자열: { type: 'string', bytes: Uint8Array, hex: boolean }
+//  - 이름: { type: 'name', value: string }
+//  - 배열: JS 배열, 딕셔너리: { type: 'dict', value: { key: operand } }
+export const pdfString = (bytes, hex = false) => ({ type: 'string', bytes, hex });
+export const pdfName = (value) => ({ type: 'name', value });
+export const isString = (o) => !!o && o.type === 'string';
+export const isName = (o) => !!o && o.type === 'name';
+
+class Lexer {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.pos = 0;
+    }
+
+    skipSpace() {
+        const { bytes } = this;
+        while (this.pos < bytes.length) {
+            const b = bytes[this.pos];
+            if (WHITESPACE.has(b)) {
+                this.pos++;
+            } else if (b === 0x25) { // % 주석
+                while (this.pos < bytes.length && bytes[this.pos] !== 0x0a && bytes[this.pos] !== 0x0d) this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    // 다음 토큰: { kind: 'value', value } | { kind: 'op', value } | { kind: 'open'|'close', value } | null
+    next() {
+        this.skipSpace();
+        const { bytes } = this;
+        if (this.pos >= bytes.length) return null;
+        const b = bytes[this.pos];
+
+        if (b === 0x28) return { kind: 'value', value: this.readLiteralString() };
+        if (b === 0x2f) return { kind: 'value', value: this.readName() };
+        if (b === 0x5b) { this.pos++; return { kind: 'open', value: '[' }; }
+        if (b === 0x5d) { this.pos++; return { kind: 'close', value: ']' }; }
+        if (b === 0x3c) {
+            if (bytes[this.pos + 1] === 0x3c) { this.pos += 2; return { kind: 'open', value: '<<' }; }
+            return { kind: 'value', value: this.readHexString() };
+        }
+        if (b === 0x3e) {
+            this.pos += bytes[this.pos + 1] === 0x3e ? 2 : 1;
+            return { kind: 'close', value: '>>' };
+        }
+        if (b === 0x7b || b === 0x7d) { // PostScript 프로시저 괄호 (CMap) - 무시
+            this.pos++;
+            return this.next();
+        }
+        if (b === 0x29) { this.pos++; return this.next(); } // 짝 없는 괄호는 버린다
+
+        const start = this.pos;
+        while (this.pos < bytes.length && isRegular(bytes[this.pos])) this.pos++;
+        const word = latin1(bytes, start, this.pos);
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { kind: 'value', value: parseFloat(word) };
+        if (/^[+-]?\d*\.?\d*$/.test(word)) return { kind: 'value', value: 0 }; // '-' 같은 깨진 숫자
+        if (word === 'true') return { kind: 'value', value: true };
+        if (word === 'false') return { kind: 'value', value: false };
+        if (word === 'null') return { kind: 'value', value: null };
+        return { kind: 'op', value: word };
+    }
+
+    readName() {
+        const { bytes } = this;
+        this.pos++;
+        let out = [];
+        while (this.pos < bytes.length && isRegular(bytes[this.pos])) {
+            const b = bytes[this.pos];
+            if (b === 0x23 && /^[0-9a-fA-F]{2}$/.test(latin1(bytes, this.pos + 1, this.pos + 3))) {
+                out.push(parseInt(latin1(bytes, this.pos + 1, this.pos + 3), 16));
+                this.pos += 3;
+            } else {
+                out.push(b);
+                this.pos++;
+            }
+        }
+        return pdfName(latin1(out, 0, out.length));
+    }
+
+    readHexString() {
+        const { bytes } = this;
+        this.pos++;
+        let digits = '';
+        while (this.pos < bytes.length && bytes[this.pos] !== 0x3e) {
+            const c = String.fromCharCode(bytes[this.pos++]);
+            if (/[0-9a-fA-F]/.test(c)) digits += c;
+        }
+        this.pos++;
+        if (digits.length % 2) digits += '0';
+        const out = new Uint8Array(digits.length / 2);
+        for (let i = 0; i < out.length; i++) out[i] = parseInt(digits.substr(i * 2, 2), 16);
+        return pdfString(out, true);
+    }
+
+    readLiteralString() {
+        const { bytes } = this;
+        this.pos++;
+        const out = [];
+        let depth = 1;
+        while (this.pos < bytes.length) {
+            let b = bytes[this.pos++];
+            if (b === 0x28) {
+                depth++;
+            } else if (b === 0x29) {
+                if (--depth === 0) break;
+            } else if (b === 0x5c) {
+                b = bytes[this.pos++];
+                const escapes = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+                if (escapes[b] !== undefined) {
+                    out.push(escapes[b]);
+                } else if (b >= 0x30 && b <= 0x37) {
+                    let oct = b - 0x30;
+                    for (let i = 0; i < 2 && bytes[this.pos] >= 0x30 && bytes[this.pos] <= 0x37; i++) {
+                        oct = oct * 8 + (bytes[this.pos++] - 0x30);
+                    }
+                    out.push(oct & 0xff);
+                } else if (b === 0x0d) { // 줄 연속
+                    if (bytes[this.pos] === 0x0a) this.pos++;
+                } else if (b !== 0x0a && b !== undefined) {
+                    out.push(b);
+                }
+                continue;
+            } else if (b === 0x0d) { // 리터럴 안의 EOL 은 LF 로 정규화
+                if (bytes[this.pos] === 0x0a) this.pos++;
+                b = 0x0a;
+            }
+            out.push(b);
+        }
+        return pdfString(Uint8Array.from(out), false);
+    }
+
+    // BI ... ID 뒤의 인라인 이미지 바이너리 (EI 까지)
+    readInlineImageData(dict) {
+        const { bytes } = this;
+        this.pos++; // ID 뒤 공백 한 개
+        const start = this.pos;
+        const length = dict.L ?? dict.Length;
+        if (typeof length === 'number' && start + length <= bytes.length) {
+            this.pos = start + length;
+            const data = bytes.subarray(start, this.pos);
+            this.skipSpace();
+            if (latin1(bytes, this.pos, this.pos + 2) === 'EI') this.pos += 2;
+            return data;
+        }
+        for (let i = start; i < bytes.length - 1; i++) {
+            if (bytes[i] === 0x45 && bytes[i + 1] === 0x49 && WHITESPACE.has(bytes[i - 1]) &&
+                (i + 2 >= bytes.length || !isRegular(bytes[i + 2]))) {
+                this.pos = i + 2;
+                return bytes.subarray(start, i - 1);
+            }
+        }
+        this.pos = bytes.length;
+        return bytes.subarray(start);
+    }
+}
+
+// 바이트 → [{ operator, operands, image? }]
+export function parseContentStream(bytes) {
+    const lexer = new Lexer(bytes);
+    const ops = [];
+    const stack = [[]];
+
+    for (let token = lexer.next(); token; token = lexer.next()) {
+        const top = stack[stack.length - 1];
+        if (token.kind === 'value') {
+            top.push(token.value);
+        } else if (token.kind === 'open') {
+            const frame = [];
+            frame.kind = token.value;
+            stack.push(frame);
+        } else if (token.kind === 'close') {
+            if (stack.length === 1) continue;
+            const frame = stack.pop();
+            stack[stack.length - 1].push(frame.kind === '<<' ? toDict(frame) : Array.from(frame));
+        } else if (token.value === 'BI') {
+            const image = readInlineImage(lexer);
+            ops.push({ operator: 'BI', operands: [], image });
+        } else {
+            while (stack.length > 1) stack.pop(); // 닫히지 않은 배열은 버린다
+            ops.push({ operator: token.value, operands: stack[0] });
+            stack[0] = [];
+        }
+    }
+    return ops;
+}
+
+function toDict(items) {
+    const value = {};
+    for (let i = 0; i + 1 < items.length; i += 2) {
+        if (isName(items[i])) value[items[i].value] = items[i + 1];
+    }
+    return { type: 'dict', value };
+}
+
+function readInlineImage(lexer) {
+    const entries = [];
+    for (let token = lexer.next(); token; token = lexer.next()) {
+        if (token.kind === 'op' && token.value === 'ID') break;
+        if (token.kind === 'open') {
+            const items = [];
+            for (let t = lexer.next(); t && t.kind !== 'close'; t = lexer.next()) items.push(t.value);
+            entries.push(token.value === '<<' ? toDict(items) : items);
+        } else {
+            entries.push(token.kind === 'op' ? pdfName(token.value) : token.value);
+        }
+    }
+    const dict = toDict(entries).value;
+    const plain = Object.fromEntries(Object.entries(dict).map(([k, v]) => [k, typeof v === 'number' ? v : undefined]));
+    return { dict, data: lexer.readInlineImageData(plain) };
+}
+
+// ---------------------------------------------------------------- 직렬화
+
+const encoder = new TextEncoder();
+
+export function formatNumber(n) {
+    if (!Number.isFinite(n)) return '0';
+    if (Number.isInteger(n)) return String(n);
+    return n.toFixed(6).replace(/0+$/, '').replace(/\.$/, '');
+}
+
+function serializeName(name) {
+    let out = '/';
+    for (let i = 0; i < name.length; i++) {
+        const c = name.charCodeAt(i);
+        out += (c < 0x21 || c > 0x7e || c === 0x23 || !isRegular(c))
+            ? '#' + c.toString(16).padStart(2, '0')
+            : name[i];
+    }
+    return out;
+}
+
+function serializeString({ bytes, hex }) {
+    if (hex) return '<' + Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('') + '>';
+    let out = '(';
+    for (const b of bytes) {
+        if (b === 0x28 || b === 0x29 || b === 0x5c) out += '\\' + String.fromCharCode(b);
+        else if (b === 0x0a) out += '\\n';
+        else if (b === 0x0d) out += '\\r';
+        else out += String.fromCharCode(b);
+    }
+    return out + ')';
+}
+
+export function serializeOperand(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number') return formatNumber(value);
+    if (typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) return '[' + value.map(serializeOperand).join(' ') + ']';
+    if (value.type === 'name') return serializeName(value.value);
+    if (value.type === 'string') return serializeString(value);
+    if (value.type === 'dict') {
+        return '<<' + Object.entries(value.value)
+            .map(([k, v]) => `${serializeName(k)} ${serializeOperand(v)}`).join(' ') + '>>';
+    }
+    return 'null';
+}
+
+// 문자열 피연산자는 바이트 그대로(0x00~0xff) 보존해야 하므로 latin1 으로 합친다
+function latin1Bytes(text) {
+    const out = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) out[i] = text.charCodeAt(i) & 0xff;
+    return out;
+}
+
+export function serializeContentStream(ops) {
+    const chunks = [];
+    let size = 0;
+    const push = (chunk) => { chunks.push(chunk); size += chunk.length; };
+
+    for (const op of ops) {
+        if (op.operator === 'BI' && op.image) {
+            const entries = Object.entries(op.image.dict)
+                .map(([k, v]) => `${serializeName(k)} ${serializeOperand(v)}`).join(' ');
+            push(latin1Bytes(`BI ${entries} ID `));
+            push(op.image.data);
+            push(encoder.encode('\nEI\n'));
+            continue;
+        }
+        const line = [...op.operands.map(serializeOperand), op.operator].join(' ');
+        push(latin1Bytes(line + '\n'));
+    }
+
+    const out = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return out;
+}
@@ -0,0 +1,333 @@
+// /lib/pdf/fonts.js
+// 텍스트 연산자의 바이트를 글리프(코드, 폭, 유니코드)로 풀어내기 위한 최소 폰트 모델
+// - 단순 폰트(Type1/TrueType/Type3): 1바이트 코드, /Widths, /Encoding(+Differences)
+// - 복합 폰트(Type0): Identity / 한국어 기본 CMap / 내장 CMap, 하위 CIDFont 의 /W, /DW
+// 세로쓰기(-V) CMap 도 가로 진행으로 근사한다. (판결문에서는 쓰이지 않음)
+import { PDFArray, PDFDict, PDFName, PDFNumber, PDFStream } from 'pdf-lib';
+import { Encodings, Font as StandardFont } from '@pdf-lib/standard-fonts';
+import { parseContentStream, isString, isName } from './content-stream.js';
+import { decodeStream } from './streams.js';
+
+const STANDARD_FONTS = new Set([
+    'Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique',
+    'Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique',
+    'Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic', 'Symbol', 'ZapfDingbats',
+]);
+
+// WinAnsi 표에서 코드 → 글리프 이름, 글리프 이름 → 유니코드 를 만든다
+const codeToGlyphName = {};
+const glyphNameToUnicode = {};
+for (const encoding of [Encodings.Symbol, Encodings.ZapfDingbats, Encodings.WinAnsi]) {
+    for (const [codePoint, [code, name]] of Object.entries(encoding.unicodeMappings)) {
+        if (encoding === Encodings.WinAnsi) codeToGlyphName[code] = name;
+        glyphNameToUnicode[name] ??= String.fromCodePoint(Number(codePoint));
+    }
+}
+
+function unicodeOfGlyphName(name) {
+    if (!name) return '';
+    if (glyphNameToUnicode[name]) return glyphNameToUnicode[name];
+    let m = /^uni([0-9A-F]{4})+$/i.exec(name);
+    if (m) return name.slice(3).match(/.{4}/g).map((h) => String.fromCharCode(parseInt(h, 16))).join('');
+    m = /^u([0-9A-F]{4,6})$/i.exec(name);
+    if (m) return String.fromCodePoint(parseInt(m[1], 16));
+    return '';
+}
+
+const bytesToCode = (bytes) => bytes.reduce((code, b) => code * 256 + b, 0);
+
+const utf16be = (bytes) => {
+    let out = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+    return out;
+};
+
+function lookupNumber(context, obj, fallback) {
+    const value = context.lookup(obj);
+    return value instanceof PDFNumber ? value.asNumber() : fallback;
+}
+
+function lookupName(context, obj) {
+    const value = context.lookup(obj);
+    return value instanceof PDFName ? value.decodeText() : undefined;
+}
+
+function lookupArray(context, obj) {
+    const value = context.lookup(obj);
+    return value instanceof PDFArray ? value.asArray().map((item) => context.lookup(item)) : null;
+}
+
+// ---------------------------------------------------------------- CMap
+
+// ToUnicode 또는 내장 Encoding CMap 파싱 결과
+//  codespace: [{ lo, hi }] (바이트 배열), unicode/cid: 개별 매핑 + 범위 매핑
+export function parseCMap(bytes) {
+    const cmap = { codespace: [], unicodeChars: new Map(), unicodeRanges: [], cidChars: new Map(), cidRanges: [] };
+    const key = (b) => `${b.length}:${bytesToCode(b)}`;
+
+    for (const { operator, operands } of parseContentStream(bytes)) {
+        if (operator === 'endcodespacerange') {
+            for (let i = 0; i + 1 < operands.length; i += 2) {
+                if (isString(operands[i]) && isString(operands[i + 1])) {
+                    cmap.codespace.push({ lo: operands[i].bytes, hi: operands[i + 1].bytes });
+                }
+            }
+        } else if (operator === 'endbfchar') {
+            for (let i = 0; i + 1 < operands.length; i += 2) {
+                const [src, dst] = [operands[i], operands[i + 1]];
+                if (!isString(src)) continue;
+                const text = isString(dst) ? utf16be(dst.bytes) : isName(dst) ? unicodeOfGlyphName(dst.value) : '';
+                cmap.unicodeChars.set(key(src.bytes), text);
+            }
+        } else if (operator === 'endbfrange') {
+            for (let i = 0; i + 2 < operands.length; i += 3) {
+                const [lo, hi, dst] = operands.slice(i, i + 3);
+                if (!isString(lo) || !isString(hi)) continue;
+                cmap.unicodeRanges.push({
+                    length: lo.bytes.length, lo: bytesToCode(lo.bytes), hi: bytesToCode(hi.bytes),
+                    dst: Array.isArray(dst) ? dst.map((d) => (isString(d) ? utf16be(d.bytes) : '')) : isString(dst) ? utf16be(dst.bytes) : '',
+                });
+            }
+        } else if (operator === 'endcidchar') {
+            for (let i = 0; i + 1 < operands.length; i += 2) {
+                if (isString(operands[i])) cmap.cidChars.set(key(operands[i].bytes), operands[i + 1]);
+            }
+        } else if (operator === 'endcidrange') {
+            for (let i = 0; i + 2 < operands.length; i += 3) {
+                const [lo, hi, cid] = operands.slice(i, i + 3);
+                if (!isString(lo) || !isString(hi)) continue;
+                cmap.cidRanges.push({ length: lo.bytes.length, lo: bytesToCode(lo.bytes), hi: bytesToCode(hi.bytes), cid });
+            }
+        }
+    }
+    return cmap;
+}
+
+function cmapUnicode(cmap, bytes) {
+    const code = bytesToCode(bytes);
+    const direct = cmap.unicodeChars.get(`${bytes.length}:${code}`);
+    if (direct !== undefined) return direct;
+    for (const range of cmap.unicodeRanges) {
+        if (range.length !== bytes.length || code < range.lo || code > range.hi) continue;
+        const offset = code - range.lo;
+        if (Array.isArray(range.dst)) return range.dst[offset] ?? '';
+        if (!range.dst) return '';
+        const last = range.dst.charCodeAt(range.dst.length - 1) + offset;
+        return range.dst.slice(0, -1) + String.fromCharCode(last);
+    }
+    return undefined;
+}
+
+function cmapCid(cmap, bytes) {
+    const code = bytesToCode(bytes);
+    const direct = cmap.cidChars.get(`${bytes.length}:${code}`);
+    if (direct !== undefined) return direct;
+    for (const range of cmap.cidRanges) {
+        if (range.length === bytes.length && code >= range.lo && code <= range.hi) return range.cid + (code - range.lo);
+    }
+    return undefined;
+}
+
+// codespace 범위로 다음 코드의 바이트 길이를 정한다
+function codeLengthAt(codespace, bytes, pos, fallback) {
+    for (let len = 1; len <= 4 && pos + len <= bytes.length; len++) {
+        for (const { lo, hi } of codespace) {
+            if (lo.length !== len) continue;
+            let inside = true;
+            for (let i = 0; i < len && inside; i++) {
+                const b = bytes[pos + i];
+                inside = b >= lo[i] && b <= hi[i];
+            }
+            if (inside) return len;
+        }
+    }
+    return fallback;
+}
+
+function readCMapStream(context, obj) {
+    const stream = context.lookup(obj);
+    if (!(stream instanceof PDFStream)) return null;
+    try {
+        return parseCMap(decodeStream(stream));
+    } catch (e) {
+        return null;
+    }
+}
+
+// ---------------------------------------------------------------- 기본(predefined) CMap
+
+const eucKrDecoder = (() => {
+    try { return new TextDecoder('euc-kr'); } catch (e) { return null; }
+})();
+
+function predefinedEncoding(name) {
+    if (/^Identity-[HV]$/.test(name)) {
+        return { split: () => 2, cid: bytesToCode, unicode: () => undefined };
+    }
+    if (/UCS2/.test(name)) {
+        return { split: () => 2, cid: () => undefined, unicode: utf16be };
+    }
+    if (/UTF16/.test(name)) {
+        return {
+            split: (bytes, pos) => (bytes[pos] >= 0xd8 && bytes[pos] <= 0xdb ? 4 : 2),
+            cid: () => undefined,
+            unicode: utf16be,
+        };
+    }
+    if (/UTF8/.test(name)) {
+        return {
+            split: (bytes, pos) => (bytes[pos] < 0x80 ? 1 : bytes[pos] < 0xe0 ? 2 : bytes[pos] < 0xf0 ? 3 : 4),
+            cid: () => undefined,
+            unicode: (bytes) => new TextDecoder().decode(bytes),
+        };
+    }
+    if (/^KSC/.test(name)) {
+        const lead = /UHC/.test(name) ? 0x81 : 0xa1;
+        return {
+            split: (bytes, pos) => (bytes[pos] >= lead ? 2 : 1),
+            cid: () => undefined,
+            unicode: (bytes) => (eucKrDecoder ? eucKrDecoder.decode(bytes) : undefined),
+        };
+    }
+    return { split: () => 2, cid: () => undefined, unicode: () => undefined };
+}
+
+// ---------------------------------------------------------------- 폰트
+
+function fontMetrics(context, descriptor, scale) {
+    let ascent = 0.8, descent = -0.2;
+    if (descriptor instanceof PDFDict) {
+        ascent = lookupNumber(context, descriptor.get(PDFName.of('Ascent')), 800) * scale;
+        descent = lookupNumber(context, descriptor.get(PDFName.of('Descent')), -200) * scale;
+    }
+    return {
+        ascent: Math.min(Math.max(ascent, 0.5), 1.2),
+        descent: Math.min(Math.max(descent, -0.5), 0),
+    };
+}
+
+function simpleFont(context, dict, subtype) {
+    const baseFont = (lookupName(context, dict.get(PDFName.of('BaseFont'))) || '').replace(/^[A-Z]{6}\+/, '');
+    const isType3 = subtype === 'Type3';
+    const fontMatrix = isType3 ? lookupArray(context, dict.get(PDFName.of('FontMatrix'))) : null;
+    const scale = fontMatrix ? lookupNumber(context, fontMatrix[0], 0.001) : 0.001;
+
+    const firstChar = lookupNumber(context, dict.get(PDFName.of('FirstChar')), 0);
+    const widths = (lookupArray(context, dict.get(PDFName.of('Widths'))) || []).map((w) => (w instanceof PDFNumber ? w.asNumber() : 0));
+    const descriptor = context.lookup(dict.get(PDFName.of('FontDescriptor')));
+    const missingWidth = descriptor instanceof PDFDict ? lookupNumber(context, descriptor.get(PDFName.of('MissingWidth')), null) : null;
+    const standard = STANDARD_FONTS.has(baseFont) ? StandardFont.load(baseFont) : null;
+
+    // 코드 → 글리프 이름 (기본 인코딩 + Differences)
+    const names = { ...codeToGlyphName };
+    const encoding = context.lookup(dict.get(PDFName.of('Encoding')));
+    if (encoding instanceof PDFDict) {
+        const differences = lookupArray(context, encoding.get(PDFName.of('Differences'))) || [];
+        let code = 0;
+        for (const item of differences) {
+            if (item instanceof PDFNumber) code = item.asNumber();
+            else if (item instanceof PDFName) names[code++] = item.decodeText();
+        }
+    }
+
+    const toUnicode = readCMapStream(context, dict.get(PDFName.of('ToUnicode')));
+    const metrics = fontMetrics(context, descriptor, fontMatrix ? Math.abs(lookupNumber(context, fontMatrix[3], 0.001)) : 0.001);
+
+    const widthOf = (code) => {
+        const w = widths[code - firstChar];
+        if (w !== undefined) return w * scale;
+        if (missingWidth !== null) return missingWidth * scale;
+        if (standard) {
+            const sw = standard.getWidthOfGlyph(names[code]);
+            if (sw !== undefined) return sw / 1000;
+        }
+        return 0.5;
+    };
+
+    return {
+        name: baseFont,
+        ...metrics,
+        decode(bytes) {
+            const glyphs = [];
+            for (let i = 0; i < bytes.length; i++) {
+                const code = bytes[i];
+                const mapped = toUnicode ? cmapUnicode(toUnicode, [code]) : undefined;
+                glyphs.push({
+                    code,
+                    bytes: bytes.subarray(i, i + 1),
+                    width: widthOf(code),
+                    unicode: mapped ?? (unicodeOfGlyphName(names[code]) || (code >= 0x20 && code < 0x7f ? String.fromCharCode(code) : '')),
+                    isSpace: code === 32,
+                });
+            }
+            return glyphs;
+        },
+    };
+}
+
+function compositeFont(context, dict) {
+    const baseFont = (lookupName(context, dict.get(PDFName.of('BaseFont'))) || '').replace(/^[A-Z]{6}\+/, '');
+    const descendant = context.lookup((lookupArray(context, dict.get(PDFName.of('DescendantFonts'))) || [])[0]);
+    const cidFont = descendant instanceof PDFDict ? descendant : context.obj({});
+
+    const defaultWidth = lookupNumber(context, cidFont.get(PDFName.of('DW')), 1000);
+    const widthTable = new Map();
+    const w = lookupArray(context, cidFont.get(PDFName.of('W'))) || [];
+    for (let i = 0; i < w.length;) {
+        const first = w[i] instanceof PDFNumber ? w[i].asNumber() : 0;
+        if (w[i + 1] instanceof PDFArray) {
+            w[i + 1].asArray().forEach((v, k) => widthTable.set(first + k, lookupNumber(context, v, defaultWidth)));
+            i += 2;
+        } else {
+            const last = lookupNumber(context, w[i + 1], first);
+            const value = lookupNumber(context, w[i + 2], defaultWidth);
+            for (let cid = first; cid <= last && cid - first < 0x10000; cid++) widthTable.set(cid, value);
+            i += 3;
+        }
+    }
+
+    const encodingObj = dict.get(PDFName.of('Encoding'));
+    const encodingName = lookupName(context, encodingObj);
+    const embedded = encodingName ? null : readCMapStream(context, encodingObj);
+    const predefined = predefinedEncoding(encodingName || 'Identity-H');
+    const toUnicode = readCMapStream(context, dict.get(PDFName.of('ToUnicode')));
+    const metrics = fontMetrics(context, context.lookup(cidFont.get(PDFName.of('FontDescriptor'))), 0.001);
+
+    return {
+        name: baseFont,
+        ...metrics,
+        decode(bytes) {
+            const glyphs = [];
+            for (let i = 0; i < bytes.length;) {
+                const length = embedded && embedded.codespace.length
+                    ? codeLengthAt(embedded.codespace, bytes, i, 2)
+                    : predefined.split(bytes, i);
+                const codeBytes = bytes.subarray(i, Math.min(i + length, bytes.length));
+                i += length;
+
+                const cid = embedded ? cmapCid(embedded, codeBytes) : predefined.cid(codeBytes);
+                const mapped = toUnicode ? cmapUnicode(toUnicode, codeBytes) : undefined;
+                glyphs.push({
+                    code: bytesToCode(codeBytes),
+                    bytes: codeBytes,
+                    width: (cid !== undefined && widthTable.has(cid) ? widthTable.get(cid) : defaultWidth) / 1000,
+                    unicode: mapped ?? predefined.unicode(codeBytes) ?? '',
+                    isSpace: codeBytes.length === 1 && codeBytes[0] === 32,
+                });
+            }
+            return glyphs;
+        },
+    };
+}
+
+// 폰트 딕셔너리(또는 참조) → 폰트 모델. cache 는 같은 문서 안에서 재사용한다.
+export function loadFont(context, fontObj, cache) {
+    const dict = context.lookup(fontObj);
+    if (!(dict instanceof PDFDict)) return null;
+    if (cache && cache.has(dict)) return cache.get(dict);
+
+    const subtype = lookupName(context, dict.get(PDFName.of('Subtype')));
+    const font = subtype === 'Type0' ? compositeFont(context, dict) : simpleFont(context, dict, subtype);
+    if (cache) cache.set(dict, font);
+    return font;
+}
@@ -0,0 +1,73 @@
+// /lib/pdf/geometry.js
+// PDF 행렬([a b c d e f]) 및 사각형([x0 y0 x1 y1]) 계산 유틸
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// m × n (PDF 의 행 벡터 규약: p' = p × M)
+export function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[1] * n[2],
+        m[0] * n[1] + m[1] * n[3],
+        m[2] * n[0] + m[3] * n[2],
+        m[2] * n[1] + m[3] * n[3],
+        m[4] * n[0] + m[5] * n[2] + n[4],
+        m[4] * n[1] + m[5] * n[3] + n[5],
+    ];
+}
+
+export function invert(m) {
+    const det = m[0] * m[3] - m[1] * m[2];
+    if (!det) return null;
+    return [
+        m[3] / det, -m[1] / det, -m[2] / det, m[0] / det,
+        (m[2] * m[5] - m[3] * m[4]) / det,
+        (m[1] * m[4] - m[0] * m[5]) / det,
+    ];
+}
+
+export function applyToPoint(m, x, y) {
+    return [x * m[0] + y * m[2] + m[4], x * m[1] + y * m[3] + m[5]];
+}
+
+export function boundsOfPoints(points) {
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (const [x, y] of points) {
+        if (x < x0) x0 = x;
+        if (y < y0) y0 = y;
+        if (x > x1) x1 = x;
+        if (y > y1) y1 = y;
+    }
+    return [x0, y0, x1, y1];
+}
+
+export function transformRect(m, [x0, y0, x1, y1]) {
+    return boundsOfPoints([
+        applyToPoint(m, x0, y0), applyToPoint(m, x1, y0),
+        applyToPoint(m, x0, y1), applyToPoint(m, x1, y1),
+    ]);
+}
+
+export function normalizeRect([x0, y0, x1, y1]) {
+    return [Math.min(x0, x1), Math.min(y0, y1), Math.max(x0, x1), Math.max(y0, y1)];
+}
+
+export function intersects(a, b) {
+    return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+}
+
+// box 가 regions 안에 들어가는 비율 (0~1). 폭/높이가 0 인 상자는 길이·점 기준으로 계산한다.
+export function coverage(box, regions) {
+    const w = box[2] - box[0];
+    const h = box[3] - box[1];
+    let covered = 0;
+    for (const r of regions) {
+        if (!intersects(box, r)) continue;
+        const iw = Math.min(box[2], r[2]) - Math.max(box[0], r[0]);
+        const ih = Math.min(box[3], r[3]) - Math.max(box[1], r[1]);
+        if (w > 0 && h > 0) covered += (iw * ih) / (w * h);
+        else if (w > 0) covered += iw / w;
+        else if (h > 0) covered += ih / h;
+        else return 1;
+    }
+    return Math.min(covered, 1);
+}
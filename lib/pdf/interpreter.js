@@ -0,0 +1,234 @@
+// /lib/pdf/interpreter.js
+// 콘텐츠 스트림 연산자를 순서대로 따라가며 그래픽/텍스트 상태를 추적한다.
+// 텍스트·이미지·폼·경로를 만날 때마다 visitor 를 호출하고,
+// visitor 가 배열을 돌려주면 해당 연산자(경로는 구성 연산자 묶음 전체)를 그 배열로 바꾼다.
+import { PDFArray, PDFDict, PDFName, PDFNumber, PDFStream } from 'pdf-lib';
+import { IDENTITY, applyToPoint, boundsOfPoints, multiply, transformRect } from './geometry.js';
+import { isName, isString } from './content-stream.js';
+import { loadFont } from './fonts.js';
+
+const PATH_CONSTRUCTION = new Set(['m', 'l', 'c', 'v', 'y', 'h', 're']);
+const PATH_PAINTING = new Set(['S', 's', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*', 'n']);
+
+const num = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : 0);
+
+export function lookupResource(context, resources, category, name) {
+    if (!(resources instanceof PDFDict)) return undefined;
+    const group = context.lookup(resources.get(PDFName.of(category)));
+    if (!(group instanceof PDFDict)) return undefined;
+    return group.get(PDFName.of(name));
+}
+
+function numberArray(context, obj) {
+    const arr = context.lookup(obj);
+    if (!(arr instanceof PDFArray)) return null;
+    return arr.asArray().map((v) => {
+        const n = context.lookup(v);
+        return n instanceof PDFNumber ? n.asNumber() : 0;
+    });
+}
+
+// 폼 XObject 의 행렬/영역/리소스
+export function formInfo(context, xobject, parentResources) {
+    const matrix = numberArray(context, xobject.dict.get(PDFName.of('Matrix')));
+    const bbox = numberArray(context, xobject.dict.get(PDFName.of('BBox')));
+    const resources = context.lookup(xobject.dict.get(PDFName.of('Resources')));
+    return {
+        matrix: matrix && matrix.length === 6 ? matrix : IDENTITY,
+        bbox: bbox && bbox.length === 4 ? bbox : null,
+        resources: resources instanceof PDFDict ? resources : parentResources,
+    };
+}
+
+const initialState = (ctm) => ({
+    ctm, charSpacing: 0, wordSpacing: 0, hScale: 1, leading: 0,
+    font: null, fontSize: 0, rise: 0, renderMode: 0,
+});
+
+// env: { context, resources, ctm, fontCache }
+// 반환: { ops, changed }
+export function interpretContent(ops, env, visitor = {}) {
+    const { context, resources } = env;
+    const fontCache = env.fontCache || new Map();
+    let gs = initialState(env.ctm || IDENTITY);
+    const stack = [];
+    const marked = [];
+    let tm = IDENTITY;
+    let tlm = IDENTITY;
+    let path = null;
+
+    const out = [];
+    let changed = false;
+    const emit = (replacement, original) => {
+        if (replacement === undefined) {
+            out.push(...original);
+        } else {
+            changed = true;
+            out.push(...replacement);
+        }
+    };
+    const state = () => ({ ...gs, marked: [...marked] });
+
+    const nextLine = (tx, ty) => {
+        tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+        tm = tlm;
+    };
+
+    // 문자열/숫자 요소를 글리프 목록으로 풀고 텍스트 행렬을 진행시킨다
+    const layoutText = (elements) => {
+        const font = gs.font;
+        const glyphs = [];
+        elements.forEach((element, index) => {
+            if (typeof element === 'number') {
+                tm = multiply([1, 0, 0, 1, (-element / 1000) * gs.fontSize * gs.hScale, 0], tm);
+                return;
+            }
+            if (!isString(element)) return;
+            const decoded = font
+                ? font.decode(element.bytes)
+                : Array.from(element.bytes, (b, i) => ({ code: b, bytes: element.bytes.subarray(i, i + 1), width: 0.5, unicode: '', isSpace: b === 32 }));
+            const ascent = font ? font.ascent : 0.8;
+            const descent = font ? font.descent : -0.2;
+            for (const glyph of decoded) {
+                const trm = multiply([gs.fontSize * gs.hScale, 0, 0, gs.fontSize, 0, gs.rise], multiply(tm, gs.ctm));
+                const advance = (glyph.width * gs.fontSize + gs.charSpacing + (glyph.isSpace ? gs.wordSpacing : 0)) * gs.hScale;
+                glyphs.push({
+                    ...glyph,
+                    element: index,
+                    advance,
+                    origin: applyToPoint(trm, 0, 0),
+                    bbox: transformRect(trm, [0, descent, glyph.width, ascent]),
+                });
+                tm = multiply([1, 0, 0, 1, advance, 0], tm);
+            }
+        });
+        return glyphs;
+    };
+
+    for (const op of ops) {
+        const { operator, operands } = op;
+
+        if (PATH_CONSTRUCTION.has(operator) || ((operator === 'W' || operator === 'W*') && path)) {
+            if (!path) path = { ops: [], subpaths: [], clip: null };
+            const point = (i) => applyToPoint(gs.ctm, num(operands[i]), num(operands[i + 1]));
+            let current = path.subpaths[path.subpaths.length - 1];
+            if (operator === 'W' || operator === 'W*') {
+                path.clip = op;
+            } else if (operator === 're') {
+                const [x, y, w, h] = operands.map(num);
+                path.subpaths.push({
+                    ops: [op],
+                    points: [applyToPoint(gs.ctm, x, y), applyToPoint(gs.ctm, x + w, y), applyToPoint(gs.ctm, x, y + h), applyToPoint(gs.ctm, x + w, y + h)],
+                });
+            } else if (operator === 'm' || !current) {
+                path.subpaths.push({ ops: [op], points: operator === 'h' ? [] : [point(operands.length - 2)] });
+            } else {
+                current.ops.push(op);
+                for (let i = 0; i + 1 < operands.length; i += 2) current.points.push(point(i));
+            }
+            path.ops.push(op);
+            continue;
+        }
+
+        if (PATH_PAINTING.has(operator)) {
+            const buffered = path || { ops: [], subpaths: [], clip: null };
+            path = null;
+            const subpaths = buffered.subpaths.map((s) => ({ ...s, bbox: s.points.length ? boundsOfPoints(s.points) : null }));
+            const replacement = visitor.path ? visitor.path({ paint: op, clip: buffered.clip, subpaths, state: state() }) : undefined;
+            emit(replacement, [...buffered.ops, op]);
+            continue;
+        }
+
+        switch (operator) {
+            case 'q':
+                stack.push(gs);
+                gs = { ...gs };
+                break;
+            case 'Q':
+                if (stack.length) gs = stack.pop();
+                break;
+            case 'cm':
+                if (operands.length === 6) gs.ctm = multiply(operands.map(num), gs.ctm);
+                break;
+            case 'BT':
+                tm = IDENTITY;
+                tlm = IDENTITY;
+                break;
+            case 'Tc': gs.charSpacing = num(operands[0]); break;
+            case 'Tw': gs.wordSpacing = num(operands[0]); break;
+            case 'Tz': gs.hScale = num(operands[0]) / 100; break;
+            case 'TL': gs.leading = num(operands[0]); break;
+            case 'Ts': gs.rise = num(operands[0]); break;
+            case 'Tr': gs.renderMode = num(operands[0]); break;
+            case 'Tf': {
+                const ref = isName(operands[0]) ? lookupResource(context, resources, 'Font', operands[0].value) : undefined;
+                gs.font = ref ? loadFont(context, ref, fontCache) : null;
+                gs.fontSize = num(operands[1]);
+                break;
+            }
+            case 'Td': nextLine(num(operands[0]), num(operands[1])); break;
+            case 'TD':
+                gs.leading = -num(operands[1]);
+                nextLine(num(operands[0]), num(operands[1]));
+                break;
+            case 'Tm':
+                if (operands.length === 6) tlm = tm = operands.map(num);
+                break;
+            case 'T*': nextLine(0, -gs.leading); break;
+            case 'BDC':
+            case 'BMC':
+                marked.push(op);
+                break;
+            case 'EMC':
+                marked.pop();
+                break;
+            default:
+                break;
+        }
+
+        if (operator === 'Tj' || operator === 'TJ' || operator === "'" || operator === '"') {
+            if (operator === '"') {
+                gs.wordSpacing = num(operands[0]);
+                gs.charSpacing = num(operands[1]);
+            }
+            if (operator === "'" || operator === '"') nextLine(0, -gs.leading);
+            const elements = operator === 'TJ' ? (Array.isArray(operands[0]) ? operands[0] : []) : [operands[operands.length - 1]];
+            const glyphs = layoutText(elements);
+            const replacement = visitor.text ? visitor.text({ op, elements, glyphs, state: state() }) : undefined;
+            emit(replacement, [op]);
+            continue;
+        }
+
+        if (operator === 'Do' && isName(operands[0])) {
+            const ref = lookupResource(context, resources, 'XObject', operands[0].value);
+            const xobject = context.lookup(ref);
+            let replacement;
+            if (xobject instanceof PDFStream) {
+                const subtype = xobject.dict.lookup(PDFName.of('Subtype'));
+                if (subtype === PDFName.of('Image') && visitor.image) {
+                    replacement = visitor.image({ op, ref, xobject, bbox: transformRect(gs.ctm, [0, 0, 1, 1]), state: state() });
+                } else if (subtype === PDFName.of('Form') && visitor.form) {
+                    const info = formInfo(context, xobject, resources);
+                    const ctm = multiply(info.matrix, gs.ctm);
+                    replacement = visitor.form({
+                        op, ref, xobject, ...info, ctm,
+                        bbox: info.bbox ? transformRect(ctm, info.bbox) : null,
+                        state: state(),
+                    });
+                }
+            }
+            emit(replacement, [op]);
+            continue;
+        }
+
+        if (operator === 'BI' && visitor.inlineImage) {
+            emit(visitor.inlineImage({ op, bbox: transformRect(gs.ctm, [0, 0, 1, 1]), state: state() }), [op]);
+            continue;
+        }
+
+        out.push(op);
+    }
+
+    if (path) out.push(...path.ops); // 칠하기 연산자 없이 끝난 경로
+    return { ops: out, changed };
+}
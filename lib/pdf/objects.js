@@ -0,0 +1,40 @@
+// /lib/pdf/objects.js
+// 참조가 끊긴 간접 객체 정리. pdf-lib 은 닿지 않는 객체도 모두 저장하므로 지우거나 바꾼 원본이 파일에 남는다.
+import { PDFArray, PDFDict, PDFRef, PDFStream } from 'pdf-lib';
+
+// 카탈로그/문서 속성에서 닿지 않는 객체를 지운다 (지운 주석/첨부/책갈피, 마스킹 전 콘텐츠 스트림과 XObject).
+// 아직 써 넣지 않은 폰트 등은 객체가 없으므로 지워지지 않는다. 저장 직전에 한 번 더 부른다.
+// 반환: 지운 객체 수
+export function pruneUnreachable(pdfDoc) {
+    const { context } = pdfDoc;
+    const reachable = new Set();
+    // pdf-lib 이 나중에 그리는 페이지를 감쌀 때 다시 쓰는 q/Q 스트림은 지금 쓰이지 않아도 남긴다
+    const pending = [
+        context.trailerInfo.Root, context.trailerInfo.Info, context.trailerInfo.Encrypt,
+        context.pushGraphicsStateContentStreamRef, context.popGraphicsStateContentStreamRef,
+    ].filter(Boolean);
+
+    const visit = (obj) => {
+        if (!obj) return;
+        if (obj instanceof PDFRef) {
+            if (reachable.has(obj)) return;
+            reachable.add(obj);
+            pending.push(context.lookup(obj));
+        } else if (obj instanceof PDFArray) {
+            obj.asArray().forEach(visit);
+        } else if (obj instanceof PDFDict) {
+            obj.values().forEach(visit);
+        } else if (obj instanceof PDFStream) {
+            visit(obj.dict);
+        }
+    };
+    while (pending.length) visit(pending.pop());
+
+    let removed = 0;
+    for (const [ref] of context.enumerateIndirectObjects()) {
+        if (reachable.has(ref)) continue;
+        context.delete(ref);
+        removed++;
+    }
+    return removed;
+}
@@ -0,0 +1,353 @@
+// /lib/pdf/redact.js
+// 실제 비식별화(Redaction): 지정 영역에 걸친 글리프·이미지·벡터를 콘텐츠 스트림에서 제거한다.
+// 흰 사각형을 덮는 것만으로는 원문이 남아 복사/pdftotext 로 복원되므로,
+// 텍스트 연산자는 남는 글리프만 다시 쓰고(지운 글리프 폭만큼 TJ 간격으로 대체),
+// 이미지는 해당 픽셀을 지운 사본으로 교체하며, 경로는 영역 안의 서브패스를 뺀다.
+// 바꾼 원래 콘텐츠 스트림과 XObject 는 참조를 끊고 지운다 (pdf-lib 은 닿지 않는 객체도 저장한다).
+import zlib from 'node:zlib';
+import { PDFBool, PDFDict, PDFName, PDFNumber, PDFRawStream, PDFStream } from 'pdf-lib';
+import { parseContentStream, serializeContentStream, pdfName, pdfString, isString } from './content-stream.js';
+import { IDENTITY, coverage, invert, transformRect } from './geometry.js';
+import { interpretContent } from './interpreter.js';
+import { decodeStream, filtersOf, readContents } from './streams.js';
+import { pruneUnreachable } from './objects.js';
+
+// 영역에 이 비율 이상 걸치면 제거한다
+const GLYPH_HIT = 0.2;
+const PATH_HIT = 0.5;
+const IMAGE_FULL = 0.98;
+const MAX_FORM_DEPTH = 8;
+
+const DECODABLE_FILTERS = new Set(['FlateDecode', 'LZWDecode', 'ASCIIHexDecode', 'ASCII85Decode', 'RunLengthDecode']);
+
+function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const p of parts) {
+        out.set(p, offset);
+        offset += p.length;
+    }
+    return out;
+}
+
+function flateStream(context, dict, bytes) {
+    const copy = dict.clone(context);
+    for (const key of ['Filter', 'DecodeParms', 'Length', 'DL']) copy.delete(PDFName.of(key));
+    copy.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+    return PDFRawStream.of(copy, zlib.deflateSync(bytes));
+}
+
+function registerXObject(context, resources, stream) {
+    let group = context.lookup(resources.get(PDFName.of('XObject')));
+    if (!(group instanceof PDFDict)) {
+        group = context.obj({});
+        resources.set(PDFName.of('XObject'), group);
+    }
+    let index = 0;
+    let name;
+    do { name = `Redacted${++index}`; } while (group.has(PDFName.of(name)));
+    group.set(PDFName.of(name), context.register(stream));
+    return name;
+}
+
+// 다른 페이지/폼과 함께 쓰는 리소스 사전일 수 있으므로 XObject 이름을 고치기 전에 복사한다
+function ownResources(context, resources) {
+    const copy = resources.clone(context);
+    const group = context.lookup(copy.get(PDFName.of('XObject')));
+    if (group instanceof PDFDict) copy.set(PDFName.of('XObject'), group.clone(context));
+    return copy;
+}
+
+// 지우거나 사본으로 바꾼 XObject 이름이 더 쓰이지 않으면 리소스에서 뺀다 (원본이 파일에 남지 않게)
+function dropReplaced(context, resources, replaced, ops) {
+    const group = context.lookup(resources.get(PDFName.of('XObject')));
+    if (!(group instanceof PDFDict)) return;
+    const used = new Set(ops.filter((op) => op.operator === 'Do').map((op) => op.operands[0]?.value));
+    for (const name of replaced) {
+        if (!used.has(name)) group.delete(PDFName.of(name));
+    }
+}
+
+// 지운 텍스트를 감싼 마크드 콘텐츠의 대체 텍스트(/ActualText 등)도 함께 지운다
+function stripMarkedText(markOp) {
+    const props = markOp.operands[1];
+    if (props && props.type === 'dict') {
+        for (const key of ['ActualText', 'Alt', 'E']) delete props.value[key];
+    }
+}
+
+// ---------------------------------------------------------------- 이미지 픽셀
+
+function lookupNumber(context, dict, key, fallback) {
+    const value = context.lookup(dict.get(PDFName.of(key)));
+    return value instanceof PDFNumber ? value.asNumber() : fallback;
+}
+
+// 색공간 → { components, additive }. 지원하지 않으면 null (Indexed, Pattern 등)
+function colorSpaceInfo(context, obj) {
+    const cs = context.lookup(obj);
+    const name = cs instanceof PDFName ? cs.decodeText() : cs && cs.asArray ? context.lookup(cs.get(0)).decodeText() : null;
+    switch (name) {
+        case 'DeviceGray': case 'CalGray': case 'G': return { components: 1, additive: true };
+        case 'DeviceRGB': case 'CalRGB': case 'RGB': return { components: 3, additive: true };
+        case 'DeviceCMYK': case 'CMYK': return { components: 4, additive: false };
+        case 'Separation': return { components: 1, additive: false };
+        case 'DeviceN': {
+            const names = context.lookup(cs.get(1));
+            return names && names.size ? { components: names.size(), additive: false } : null;
+        }
+        case 'ICCBased': {
+            const stream = context.lookup(cs.get(1));
+            const n = stream instanceof PDFStream ? lookupNumber(context, stream.dict, 'N', 0) : 0;
+            return n ? { components: n, additive: n !== 4 } : null;
+        }
+        default: return null;
+    }
+}
+
+// PNG 예측자(Predictor >= 10) 복원
+function unpredictPng(data, columns, colors, bpc) {
+    const bpp = Math.max(1, Math.floor((colors * bpc) / 8));
+    const rowBytes = Math.ceil((columns * colors * bpc) / 8);
+    const rows = Math.floor(data.length / (rowBytes + 1));
+    const out = new Uint8Array(rows * rowBytes);
+    for (let r = 0; r < rows; r++) {
+        const type = data[r * (rowBytes + 1)];
+        const src = r * (rowBytes + 1) + 1;
+        const dst = r * rowBytes;
+        for (let i = 0; i < rowBytes; i++) {
+            const left = i >= bpp ? out[dst + i - bpp] : 0;
+            const up = r > 0 ? out[dst - rowBytes + i] : 0;
+            const upLeft = r > 0 && i >= bpp ? out[dst - rowBytes + i - bpp] : 0;
+            let value = data[src + i];
+            if (type === 1) value += left;
+            else if (type === 2) value += up;
+            else if (type === 3) value += (left + up) >> 1;
+            else if (type === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+            }
+            out[dst + i] = value & 0xff;
+        }
+    }
+    return out;
+}
+
+// 영역에 해당하는 픽셀을 흰색(마스크는 '칠하지 않음')으로 바꾼 새 이미지 스트림. 불가능하면 null.
+function redactImagePixels(context, xobject, ctm, rects) {
+    const { dict } = xobject;
+    const width = lookupNumber(context, dict, 'Width', 0);
+    const height = lookupNumber(context, dict, 'Height', 0);
+    const imageMask = context.lookup(dict.get(PDFName.of('ImageMask'))) === PDFBool.True;
+    const bpc = imageMask ? 1 : lookupNumber(context, dict, 'BitsPerComponent', 8);
+    const space = imageMask ? { components: 1, additive: true } : colorSpaceInfo(context, dict.get(PDFName.of('ColorSpace')));
+    const filters = filtersOf(xobject);
+    const inverse = invert(ctm);
+    if (!width || !height || !space || !inverse || (bpc !== 1 && bpc !== 8)) return null;
+    if (filters.some((f) => !DECODABLE_FILTERS.has(f))) return null;
+
+    let data;
+    try {
+        data = decodeStream(xobject);
+    } catch (e) {
+        return null;
+    }
+
+    let parms = context.lookup(dict.get(PDFName.of('DecodeParms')));
+    if (parms && parms.asArray) parms = context.lookup(parms.get(parms.size() - 1));
+    const predictor = parms instanceof PDFDict ? lookupNumber(context, parms, 'Predictor', 1) : 1;
+    if (predictor >= 10) {
+        data = unpredictPng(data, lookupNumber(context, parms, 'Columns', 1), lookupNumber(context, parms, 'Colors', 1), lookupNumber(context, parms, 'BitsPerComponent', 8));
+    } else if (predictor !== 1) {
+        return null;
+    }
+
+    const { components } = space;
+    const rowBytes = Math.ceil((width * components * bpc) / 8);
+    if (data.length < rowBytes * height) return null;
+    const pixels = Uint8Array.from(data.subarray(0, rowBytes * height));
+
+    // Decode 배열이 [1 0] 이면 값이 뒤집힌다
+    const decode = context.lookup(dict.get(PDFName.of('Decode')));
+    const inverted = !!(decode && decode.asArray && context.lookup(decode.get(0)).asNumber() > context.lookup(decode.get(1)).asNumber());
+    const whiteHigh = imageMask ? !inverted : space.additive !== inverted;
+
+    for (const rect of rects) {
+        const [u0, v0, u1, v1] = transformRect(inverse, rect);
+        const x0 = Math.max(0, Math.floor(u0 * width));
+        const x1 = Math.min(width, Math.ceil(u1 * width));
+        const y0 = Math.max(0, Math.floor((1 - v1) * height));
+        const y1 = Math.min(height, Math.ceil((1 - v0) * height));
+        for (let y = y0; y < y1; y++) {
+            const row = y * rowBytes;
+            for (let x = x0; x < x1; x++) {
+                for (let c = 0; c < components; c++) {
+                    const sample = x * components + c;
+                    if (bpc === 8) {
+                        pixels[row + sample] = whiteHigh ? 0xff : 0;
+                    } else {
+                        const mask = 0x80 >> (sample & 7);
+                        if (whiteHigh) pixels[row + (sample >> 3)] |= mask;
+                        else pixels[row + (sample >> 3)] &= ~mask;
+                    }
+                }
+            }
+        }
+    }
+
+    const copy = flateStream(context, dict, pixels);
+    const smask = context.lookup(dict.get(PDFName.of('SMask')));
+    if (smask instanceof PDFStream) {
+        const redactedMask = redactImagePixels(context, smask, ctm, rects);
+        if (redactedMask) copy.dict.set(PDFName.of('SMask'), context.register(redactedMask));
+        else copy.dict.delete(PDFName.of('SMask'));
+    }
+    return copy;
+}
+
+// ---------------------------------------------------------------- 콘텐츠 재작성
+
+function redactOps(ops, env, rects, stats, depth, visiting) {
+    const { context, resources, replaced } = env;
+    const replace = (op, replacement) => {
+        replaced.add(op.operands[0].value);
+        return replacement;
+    };
+
+    return interpretContent(ops, env, {
+        text({ op, elements, glyphs, state }) {
+            const hits = glyphs.map((g) => coverage(g.bbox, rects) >= GLYPH_HIT);
+            const removed = hits.filter(Boolean).length;
+            if (!removed) return undefined;
+            stats.glyphs += removed;
+            state.marked.forEach(stripMarkedText);
+
+            const scale = state.fontSize * state.hScale;
+            const array = [];
+            const pushGap = (n) => {
+                if (typeof array[array.length - 1] === 'number') array[array.length - 1] += n;
+                else array.push(n);
+            };
+            elements.forEach((element, index) => {
+                if (typeof element === 'number') return pushGap(element);
+                if (!isString(element)) return;
+                let kept = [];
+                const flush = () => {
+                    if (kept.length) array.push(pdfString(concatBytes(kept), element.hex));
+                    kept = [];
+                };
+                glyphs.forEach((glyph, i) => {
+                    if (glyph.element !== index) return;
+                    if (!hits[i]) return kept.push(glyph.bytes);
+                    flush();
+                    pushGap(scale ? (-glyph.advance * 1000) / scale : 0);
+                });
+                flush();
+            });
+
+            const prefix = [];
+            if (op.operator === '"') {
+                prefix.push({ operator: 'Tw', operands: [op.operands[0]] }, { operator: 'Tc', operands: [op.operands[1]] });
+            }
+            if (op.operator === "'" || op.operator === '"') prefix.push({ operator: 'T*', operands: [] });
+            return [...prefix, { operator: 'TJ', operands: [array] }];
+        },
+
+        path({ paint, clip, subpaths }) {
+            if (paint.operator === 'n') return undefined;
+            const drop = subpaths.map((s) => !!s.bbox && coverage(s.bbox, rects) >= PATH_HIT);
+            const dropped = drop.filter(Boolean).length;
+            if (!dropped) return undefined;
+            stats.paths += dropped;
+            // 클리핑 경로는 모양을 유지하고 칠하기만 없앤다
+            if (clip) return [...subpaths.flatMap((s) => s.ops), clip, { operator: 'n', operands: [] }];
+            const kept = subpaths.filter((_, i) => !drop[i]);
+            return kept.length ? [...kept.flatMap((s) => s.ops), paint] : [];
+        },
+
+        image({ op, xobject, bbox, state }) {
+            const covered = coverage(bbox, rects);
+            if (covered <= 0) return undefined;
+            const copy = covered < IMAGE_FULL ? redactImagePixels(context, xobject, state.ctm, rects) : null;
+            if (!copy) {
+                stats.images++;
+                if (covered < IMAGE_FULL) stats.warnings.push('디코딩할 수 없는 이미지가 영역에 걸쳐 이미지 전체를 제거했습니다.');
+                return replace(op, []);
+            }
+            stats.imagesRewritten++;
+            return replace(op, [{ operator: 'Do', operands: [pdfName(registerXObject(context, resources, copy))] }]);
+        },
+
+        inlineImage({ bbox }) {
+            if (coverage(bbox, rects) <= 0) return undefined;
+            stats.inlineImages++;
+            return [];
+        },
+
+        form({ op, xobject, ctm, bbox, resources: formResources }) {
+            if (bbox && coverage(bbox, rects) <= 0) return undefined;
+            if (depth >= MAX_FORM_DEPTH || visiting.has(xobject)) {
+                stats.forms++;
+                return replace(op, []);
+            }
+            let formOps;
+            try {
+                formOps = parseContentStream(decodeStream(xobject));
+            } catch (e) {
+                stats.forms++;
+                return replace(op, []);
+            }
+            const ownFormResources = formResources && ownResources(context, formResources);
+            const formReplaced = new Set();
+            visiting.add(xobject);
+            const result = redactOps(formOps, { ...env, resources: ownFormResources, ctm, replaced: formReplaced }, rects, stats, depth + 1, visiting);
+            visiting.delete(xobject);
+            if (!result.changed) return undefined;
+
+            stats.forms++;
+            const copy = flateStream(context, xobject.dict, serializeContentStream(result.ops));
+            if (ownFormResources) {
+                dropReplaced(context, ownFormResources, formReplaced, result.ops);
+                copy.dict.set(PDFName.of('Resources'), ownFormResources);
+            }
+            return replace(op, [{ operator: 'Do', operands: [pdfName(registerXObject(context, resources, copy))] }]);
+        },
+    });
+}
+
+// regions: [{ pageIndex, rect: [x0, y0, x1, y1] }] (페이지 기본 사용자 좌표계)
+// 반환: 페이지별 제거 통계
+export function redactRegions(pdfDoc, regions) {
+    const { context } = pdfDoc;
+    const fontCache = new Map();
+    const pages = pdfDoc.getPages();
+    const report = [];
+
+    pages.forEach((page, pageIndex) => {
+        const rects = regions.filter((r) => r.pageIndex === pageIndex).map((r) => r.rect);
+        if (!rects.length) return;
+
+        const stats = { pageIndex, glyphs: 0, paths: 0, images: 0, imagesRewritten: 0, inlineImages: 0, forms: 0, warnings: [] };
+        const { node } = page;
+        const resources = ownResources(context, node.Resources() || context.obj({}));
+
+        const contents = node.get(PDFName.of('Contents'));
+        if (contents) {
+            const ops = parseContentStream(readContents(context, contents));
+            const replaced = new Set();
+            const result = redactOps(ops, { context, resources, ctm: IDENTITY, fontCache, replaced }, rects, stats, 0, new Set());
+            if (result.changed) {
+                dropReplaced(context, resources, replaced, result.ops);
+                const stream = context.flateStream(serializeContentStream(result.ops));
+                node.set(PDFName.of('Resources'), resources);
+                node.set(PDFName.of('Contents'), context.obj([context.register(stream)]));
+            }
+        }
+        stats.warnings = [...new Set(stats.warnings)];
+        report.push(stats);
+    });
+
+    pruneUnreachable(pdfDoc);
+    return report;
+}
@@ -0,0 +1,285 @@
+// /lib/pdf/sanitize.js
+// 화면에는 보이지 않지만 파일에 남는 내용을 지운다. load → save 만 하면 원본의 이 객체들이 그대로 남는다.
+// - 문서 속성(Info, XMP, PieceInfo), 주석/메모, 첨부 파일, 양식 필드, 책갈피, 자바스크립트/자동 동작, 태그 구조
+// - 숨은 텍스트(렌더링 모드 3, 스캔 이미지 뒤의 OCR 층)
+// 양식은 탐지/마스킹 전에 페이지 내용으로 평평하게 만들어야 필드 값도 같은 탐지/제거를 거친다.
+// 숨은 텍스트는 그 위치로 스캔 이미지의 개인정보를 찾으므로 마스킹이 끝난 뒤에 지운다 (removeInvisibleText).
+// 반환값에는 건수와 종류(주석 유형, 속성 이름)만 담고 값(제목, 파일 이름, 필드 값 등)은 넣지 않는다.
+import { PDFArray, PDFDict, PDFName, PDFStream } from 'pdf-lib';
+import { parseContentStream, serializeContentStream, pdfName } from './content-stream.js';
+import { IDENTITY, transformRect } from './geometry.js';
+import { formInfo, interpretContent } from './interpreter.js';
+import { decodeStream, readContents } from './streams.js';
+
+const MAX_TREE_DEPTH = 32;
+const MAX_FORM_DEPTH = 8;
+
+// 주석 플래그: Hidden(2), NoView(32) 이면 화면에 그리지 않는다
+const HIDDEN_FLAGS = 2 | 32;
+
+const name = (key) => PDFName.of(key);
+const nameOf = (obj) => (obj instanceof PDFName ? obj.decodeText() : null);
+
+function arrayOf(context, obj) {
+    const arr = context.lookup(obj);
+    return arr instanceof PDFArray ? arr.asArray() : [];
+}
+
+// 이름 트리(Names/EmbeddedFiles 등)의 항목 수
+function countNameTree(context, node, depth = 0) {
+    const dict = context.lookup(node);
+    if (!(dict instanceof PDFDict) || depth > MAX_TREE_DEPTH) return 0;
+    const own = arrayOf(context, dict.get(name('Names'))).length / 2;
+    return own + arrayOf(context, dict.get(name('Kids'))).reduce((n, kid) => n + countNameTree(context, kid, depth + 1), 0);
+}
+
+// 책갈피 항목 수 (First/Next 를 따라간다, 순환 방지)
+function countOutlines(context, outlines) {
+    const seen = new Set();
+    const walk = (ref, depth) => {
+        let count = 0;
+        for (let item = ref; item && !seen.has(item) && depth <= MAX_TREE_DEPTH;) {
+            seen.add(item);
+            const dict = context.lookup(item);
+            if (!(dict instanceof PDFDict)) break;
+            count += 1 + walk(dict.get(name('First')), depth + 1);
+            item = dict.get(name('Next'));
+        }
+        return count;
+    };
+    const root = context.lookup(outlines);
+    return root instanceof PDFDict ? walk(root.get(name('First')), 0) : 0;
+}
+
+// 문서 안에서만 이동하는 링크인지 (URI/실행/스크립트 동작은 아님)
+function isInternalLink(context, annot) {
+    const action = context.lookup(annot.get(name('A')));
+    if (!action) return !!annot.get(name('Dest'));
+    return action instanceof PDFDict && nameOf(action.lookup(name('S'))) === 'GoTo' && !action.get(name('Next'));
+}
+
+// 위젯의 보이는 모양(AP/N, 체크박스는 현재 상태 AS)
+function widgetAppearance(context, widget) {
+    const appearances = context.lookup(widget.get(name('AP')));
+    if (!(appearances instanceof PDFDict)) return null;
+    const normal = appearances.get(name('N'));
+    const resolved = context.lookup(normal);
+    if (resolved instanceof PDFStream) return normal;
+    if (resolved instanceof PDFDict) {
+        const state = widget.lookup(name('AS'));
+        const ref = state instanceof PDFName ? resolved.get(state) : null;
+        return context.lookup(ref) instanceof PDFStream ? ref : null;
+    }
+    return null;
+}
+
+// 위젯 모양을 그리는 연산자 (모양의 BBox 를 위젯 Rect 에 맞추는 표준 배치). 그릴 수 없으면 null
+function flattenWidgetOps(page, widget) {
+    const { context } = page.doc;
+    const flags = widget.lookup(name('F'));
+    if (flags && (flags.asNumber() & HIDDEN_FLAGS)) return null;
+    const appearanceRef = widgetAppearance(context, widget);
+    const rect = arrayOf(context, widget.get(name('Rect'))).map((v) => context.lookup(v)?.asNumber?.() ?? 0);
+    if (!appearanceRef || rect.length !== 4) return null;
+
+    const { matrix, bbox } = formInfo(context, context.lookup(appearanceRef), null);
+    if (!bbox) return null;
+    const [bx0, by0, bx1, by1] = transformRect(matrix, bbox);
+    const [rx0, ry0, rx1, ry1] = [Math.min(rect[0], rect[2]), Math.min(rect[1], rect[3]), Math.max(rect[0], rect[2]), Math.max(rect[1], rect[3])];
+    if (bx1 - bx0 <= 0 || by1 - by0 <= 0) return null;
+    const sx = (rx1 - rx0) / (bx1 - bx0);
+    const sy = (ry1 - ry0) / (by1 - by0);
+
+    const xobject = page.node.newXObject('FlatWidget', appearanceRef);
+    return [
+        { operator: 'q', operands: [] },
+        { operator: 'cm', operands: [sx, 0, 0, sy, rx0 - bx0 * sx, ry0 - by0 * sy] },
+        { operator: 'Do', operands: [pdfName(xobject.decodeText())] },
+        { operator: 'Q', operands: [] },
+    ];
+}
+
+// 기존 내용을 q/Q 로 감싸고(그래픽 상태가 새지 않게) 뒤에 ops 를 붙여 한 스트림으로 다시 쓴다
+function appendToContents(page, ops) {
+    const { context } = page.doc;
+    const contents = page.node.get(name('Contents'));
+    const existing = contents ? parseContentStream(readContents(context, contents)) : [];
+    const stream = context.flateStream(serializeContentStream([
+        { operator: 'q', operands: [] }, ...existing, { operator: 'Q', operands: [] }, ...ops,
+    ]));
+    page.node.set(name('Contents'), context.obj([context.register(stream)]));
+}
+
+// rules: 정책의 숨은 내용 규칙 { annotations: 'remove'|'keep_links', forms: 'flatten'|'remove', ... }
+// 반환: [{ type, action, count, kinds? }] (지운 것이 있는 항목만)
+export function sanitizeDocument(pdfDoc, rules) {
+    const { context, catalog } = pdfDoc;
+    const pages = pdfDoc.getPages();
+    const removed = [];
+    const record = (type, count, extra = {}) => {
+        if (count) removed.push({ type, action: rules[type], count, ...extra });
+    };
+
+    // 양식: 보이는 필드는 모양을 페이지에 그리고(flatten), 필드와 위젯은 모두 지운다
+    const acroForm = context.lookup(catalog.get(name('AcroForm')));
+    let fields = 0;
+    let flattened = 0;
+    if (acroForm instanceof PDFDict) {
+        const walk = (refs, depth) => refs.reduce((n, ref) => {
+            const kids = arrayOf(context, context.lookup(ref)?.get?.(name('Kids')));
+            return n + (kids.length && depth < MAX_TREE_DEPTH ? walk(kids, depth + 1) : 1);
+        }, 0);
+        fields = walk(arrayOf(context, acroForm.get(name('Fields'))), 0);
+        catalog.delete(name('AcroForm'));
+    }
+
+    // 주석: 위젯은 양식 규칙, 나머지는 주석 규칙(keep_links 면 문서 안 링크만 남긴다)
+    const annotationKinds = {};
+    let annotations = 0;
+    let widgetActions = 0;
+    for (const page of pages) {
+        const annots = arrayOf(context, page.node.get(name('Annots')));
+        if (!annots.length) continue;
+        const kept = [];
+        const flatOps = [];
+        for (const ref of annots) {
+            const annot = context.lookup(ref);
+            if (!(annot instanceof PDFDict)) continue;
+            const subtype = nameOf(annot.lookup(name('Subtype'))) || 'Unknown';
+            if (subtype === 'Widget') {
+                const ops = rules.forms === 'flatten' ? flattenWidgetOps(page, annot) : null;
+                if (ops) {
+                    flatOps.push(...ops);
+                    flattened++;
+                }
+                if (annot.get(name('A')) || annot.get(name('AA'))) widgetActions++;
+                continue;
+            }
+            if (rules.annotations === 'keep_links' && subtype === 'Link' && isInternalLink(context, annot)) {
+                annot.delete(name('AA'));
+                kept.push(ref);
+                continue;
+            }
+            annotations++;
+            annotationKinds[subtype] = (annotationKinds[subtype] || 0) + 1;
+        }
+        if (flatOps.length) appendToContents(page, flatOps);
+        if (kept.length) page.node.set(name('Annots'), context.obj(kept));
+        else page.node.delete(name('Annots'));
+    }
+    record('forms', fields, { flattened });
+    record('annotations', annotations, { kinds: annotationKinds });
+
+    // 첨부 파일: 이름 트리(EmbeddedFiles)와 연결 파일(AF, PDF/A-3)
+    const names = context.lookup(catalog.get(name('Names')));
+    let attachments = arrayOf(context, catalog.get(name('AF'))).length;
+    catalog.delete(name('AF'));
+    if (names instanceof PDFDict && names.get(name('EmbeddedFiles'))) {
+        attachments = Math.max(attachments, countNameTree(context, names.get(name('EmbeddedFiles'))));
+        names.delete(name('EmbeddedFiles'));
+    }
+    record('attachments', attachments);
+
+    // 책갈피 (당사자 이름이 제목으로 들어가는 경우가 많다)
+    const bookmarks = countOutlines(context, catalog.get(name('Outlines')));
+    if (catalog.get(name('Outlines'))) catalog.delete(name('Outlines'));
+    const pageMode = nameOf(catalog.lookup(name('PageMode')));
+    if (pageMode === 'UseOutlines' || pageMode === 'UseAttachments') catalog.delete(name('PageMode'));
+    record('bookmarks', bookmarks);
+
+    // 자바스크립트/자동 동작: 문서 열기 동작(GoTo 제외), 문서/페이지의 AA, Names/JavaScript
+    let scripts = widgetActions;
+    const openAction = context.lookup(catalog.get(name('OpenAction')));
+    if (openAction instanceof PDFDict && nameOf(openAction.lookup(name('S'))) !== 'GoTo') {
+        catalog.delete(name('OpenAction'));
+        scripts++;
+    }
+    if (catalog.get(name('AA'))) {
+        catalog.delete(name('AA'));
+        scripts++;
+    }
+    if (names instanceof PDFDict && names.get(name('JavaScript'))) {
+        scripts += countNameTree(context, names.get(name('JavaScript')));
+        names.delete(name('JavaScript'));
+    }
+    // 남은 이름 트리(Dests 등)가 없으면 Names 도 지운다
+    if (names instanceof PDFDict && !names.keys().length) catalog.delete(name('Names'));
+    for (const page of pages) {
+        if (!page.node.get(name('AA'))) continue;
+        page.node.delete(name('AA'));
+        scripts++;
+    }
+    record('javascript', scripts);
+
+    // 태그 구조: 구조 요소의 Alt/ActualText/T 에 원문이 들어 있다
+    const tagged = !!catalog.get(name('StructTreeRoot'));
+    if (tagged) {
+        catalog.delete(name('StructTreeRoot'));
+        catalog.delete(name('MarkInfo'));
+        for (const page of pages) page.node.delete(name('StructParents'));
+    }
+    record('tags', tagged ? 1 : 0);
+
+    // 문서 속성: Info 사전(제목/작성자 등), XMP, 편집 프로그램 데이터(PieceInfo)
+    const info = pdfDoc.getInfoDict();
+    const infoKeys = info.keys().map((key) => key.decodeText());
+    for (const key of info.keys()) info.delete(key);
+    let xmp = 0;
+    for (const node of [catalog, ...pages.map((page) => page.node)]) {
+        for (const key of ['Metadata', 'PieceInfo']) {
+            if (!node.get(name(key))) continue;
+            node.delete(name(key));
+            xmp++;
+        }
+    }
+    record('metadata', infoKeys.length + xmp, { kinds: { info: infoKeys, xmp } });
+
+    return removed;
+}
+
+// 렌더링 모드 3(보이지 않는 텍스트) 글리프를 콘텐츠 스트림에서 지운다. 폼 XObject 는 제자리에서 고쳐 쓴다.
+// 반환: { count, pages: [pageIndex...] }
+export function removeInvisibleText(pdfDoc) {
+    const { context } = pdfDoc;
+    const fontCache = new Map();
+    const rewritten = new Set();
+    let count = 0;
+
+    const strip = (ops, env, depth) => interpretContent(ops, env, {
+        text({ glyphs, state }) {
+            if (state.renderMode !== 3) return undefined;
+            count += glyphs.length;
+            return [];
+        },
+        form({ ref, xobject, ctm, resources }) {
+            if (depth >= MAX_FORM_DEPTH || rewritten.has(xobject)) return undefined;
+            rewritten.add(xobject);
+            try {
+                const result = strip(parseContentStream(decodeStream(xobject)), { ...env, resources, ctm }, depth + 1);
+                if (result.changed && ref) {
+                    const copy = context.flateStream(serializeContentStream(result.ops), {});
+                    for (const [key, value] of xobject.dict.entries()) {
+                        if (!['Filter', 'DecodeParms', 'Length', 'DL'].includes(key.decodeText())) copy.dict.set(key, value);
+                    }
+                    context.assign(ref, copy);
+                }
+            } catch (e) {
+                // 읽을 수 없는 폼은 그대로 둔다
+            }
+            return undefined;
+        },
+    });
+
+    const pages = [];
+    pdfDoc.getPages().forEach((page, pageIndex) => {
+        const contents = page.node.get(name('Contents'));
+        if (!contents) return;
+        const before = count;
+        const result = strip(parseContentStream(readContents(context, contents)), { context, resources: page.node.Resources(), ctm: IDENTITY, fontCache }, 0);
+        if (result.changed) {
+            page.node.set(name('Contents'), context.obj([context.register(context.flateStream(serializeContentStream(result.ops)))]));
+        }
+        if (count > before) pages.push(pageIndex);
+    });
+    return { count, pages };
+}
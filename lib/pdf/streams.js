@@ -0,0 +1,36 @@
+// /lib/pdf/streams.js
+// pdf-lib 스트림 객체에서 디코딩된 바이트를 꺼내는 헬퍼
+import { PDFArray, PDFName, PDFRawStream, PDFStream, decodePDFRawStream } from 'pdf-lib';
+
+export function filtersOf(stream) {
+    const filter = stream.dict.lookup(PDFName.of('Filter'));
+    if (filter instanceof PDFName) return [filter.decodeText()];
+    if (filter instanceof PDFArray) return filter.asArray().map((f) => stream.dict.context.lookup(f).decodeText());
+    return [];
+}
+
+// 디코딩된 바이트. 지원하지 않는 필터(DCT, JBIG2 등)면 예외를 던진다.
+export function decodeStream(stream) {
+    if (stream instanceof PDFRawStream) return decodePDFRawStream(stream).decode();
+    if (typeof stream.getUnencodedContents === 'function') return stream.getUnencodedContents();
+    return stream.getContents();
+}
+
+// 페이지(또는 Contents 배열)의 콘텐츠 스트림을 하나로 이어 붙인다
+export function readContents(context, contents) {
+    const resolved = context.lookup(contents);
+    const streams = resolved instanceof PDFArray
+        ? resolved.asArray().map((ref) => context.lookup(ref)).filter((s) => s instanceof PDFStream)
+        : resolved instanceof PDFStream ? [resolved] : [];
+
+    const parts = streams.map(decodeStream);
+    const size = parts.reduce((sum, p) => sum + p.length + 1, 0);
+    const out = new Uint8Array(size);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        out[offset + part.length] = 0x0a;
+        offset += part.length + 1;
+    }
+    return out;
+}
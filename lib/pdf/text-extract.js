@@ -0,0 +1,125 @@
+// /lib/pdf/text-extract.js
+// 페이지별 텍스트와 글자 위치를 뽑는다. (규칙 기반 탐지, 유출 검증, 개체 단위 마스킹에서 공용)
+// text[i] 의 위치가 boxes[i] 에 대응한다. 줄바꿈/띄어쓰기로 끼워 넣은 문자는 null.
+// readability 에는 텍스트로 확인할 수 없는 부분을 센다 (유니코드를 알 수 없는 글리프, 이미지, 읽지 못한 콘텐츠).
+import { PDFName } from 'pdf-lib';
+import { parseContentStream } from './content-stream.js';
+import { IDENTITY } from './geometry.js';
+import { interpretContent } from './interpreter.js';
+import { decodeStream, readContents } from './streams.js';
+
+const MAX_FORM_DEPTH = 8;
+
+function collectGlyphs(ops, env, out, readability, depth, visiting) {
+    interpretContent(ops, env, {
+        text({ glyphs, state }) {
+            for (const glyph of glyphs) {
+                if (!glyph.unicode) {
+                    if (!glyph.isSpace) readability.undecodable++;
+                    continue;
+                }
+                out.push({ unicode: glyph.unicode, bbox: glyph.bbox, baseline: glyph.origin[1], invisible: state.renderMode === 3 });
+            }
+        },
+        image() {
+            readability.images++;
+            return undefined;
+        },
+        inlineImage() {
+            readability.images++;
+            return undefined;
+        },
+        form({ xobject, ctm, resources }) {
+            if (visiting.has(xobject)) return undefined;
+            if (depth >= MAX_FORM_DEPTH) {
+                readability.errors.push('폼 XObject 중첩이 너무 깊습니다');
+                return undefined;
+            }
+            try {
+                visiting.add(xobject);
+                collectGlyphs(parseContentStream(decodeStream(xobject)), { ...env, resources, ctm }, out, readability, depth + 1, visiting);
+            } catch (e) {
+                readability.errors.push(`폼 XObject: ${e.message}`);
+            } finally {
+                visiting.delete(xobject);
+            }
+            return undefined;
+        },
+    });
+}
+
+// 글리프를 줄 단위로 묶어 위 → 아래, 왼쪽 → 오른쪽 순으로 배치한다
+function layoutPage(glyphs) {
+    const sorted = [...glyphs].sort((a, b) => b.baseline - a.baseline);
+    const lines = [];
+    for (const glyph of sorted) {
+        const height = Math.max(glyph.bbox[3] - glyph.bbox[1], 1);
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(line.baseline - glyph.baseline) < height * 0.4) line.glyphs.push(glyph);
+        else lines.push({ baseline: glyph.baseline, glyphs: [glyph] });
+    }
+
+    let text = '';
+    const boxes = [];
+    const push = (str, box) => {
+        text += str;
+        for (let i = 0; i < str.length; i++) boxes.push(box);
+    };
+    lines.forEach((line, lineIndex) => {
+        if (lineIndex > 0) push('\n', null);
+        line.glyphs.sort((a, b) => a.bbox[0] - b.bbox[0]);
+        let prev = null;
+        for (const glyph of line.glyphs) {
+            if (prev) {
+                const height = Math.max(glyph.bbox[3] - glyph.bbox[1], 1);
+                const gap = glyph.bbox[0] - prev.bbox[2];
+                if (gap > height * 0.2 && !/\s$/.test(prev.unicode) && !/^\s/.test(glyph.unicode)) push(' ', null);
+            }
+            push(glyph.unicode, glyph.bbox);
+            prev = glyph;
+        }
+    });
+    return { text, boxes };
+}
+
+// 반환: [{ pageIndex, text, boxes, readability: { undecodable, images, errors } }]
+export function extractPageTexts(pdfDoc) {
+    const { context } = pdfDoc;
+    const fontCache = new Map();
+
+    return pdfDoc.getPages().map((page, pageIndex) => {
+        const glyphs = [];
+        const readability = { undecodable: 0, images: 0, errors: [] };
+        const contents = page.node.get(PDFName.of('Contents'));
+        if (contents) {
+            try {
+                const ops = parseContentStream(readContents(context, contents));
+                collectGlyphs(ops, { context, resources: page.node.Resources(), ctm: IDENTITY, fontCache }, glyphs, readability, 0, new Set());
+            } catch (e) {
+                console.warn(`⚠️ ${pageIndex + 1}페이지 텍스트 추출 실패:`, e.message);
+                readability.errors.push(e.message);
+            }
+        }
+        return { pageIndex, ...layoutPage(glyphs), readability };
+    });
+}
+
+// text 의 [start, end) 구간을 덮는 사각형들 (줄마다 하나)
+export function rectsForRange(page, start, end) {
+    const rects = [];
+    for (let i = start; i < end; i++) {
+        const box = page.boxes[i];
+        if (!box) continue;
+        const last = rects[rects.length - 1];
+        const height = box[3] - box[1];
+        if (last && Math.abs(last[1] - box[1]) < height * 0.5 && box[0] >= last[0] - height) {
+            last[0] = Math.min(last[0], box[0]);
+            last[1] = Math.min(last[1], box[1]);
+            last[2] = Math.max(last[2], box[2]);
+            last[3] = Math.max(last[3], box[3]);
+        } else {
+            rects.push([...box]);
+        }
+    }
+    return rects;
+}
@@ -0,0 +1,162 @@
+// /lib/pdf/typesetter.js
+// 표지/처리 내역 페이지 조판: 배포에 포함된 나눔고딕(assets/fonts)으로 한글·영문·한자가 섞인 글을
+// 줄바꿈하고, 페이지가 넘치면 새 페이지를 끼워 넣으며 적는다. 요청 중에 폰트를 내려받지 않는다.
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import fontkit from '@pdf-lib/fontkit';
+import { rgb } from 'pdf-lib';
+
+// vercel.json 의 includeFiles 로 PDF 를 만드는 함수(redact-document, jobs, jobs/[id]/retry, documents/[id]/[action])에만 함께 들어간다.
+// 새로 이 모듈을 쓰는 함수를 만들면 그 함수도 vercel.json 에 추가한다.
+export const FONT_DIR = path.join(process.cwd(), 'assets', 'fonts');
+export const FONT_FILES = { regular: 'NanumGothic-Regular.ttf', bold: 'NanumGothic-Bold.ttf' };
+
+// 줄 머리에 오면 안 되는 문자(닫는 괄호, 문장 부호)와 줄 끝에 오면 안 되는 문자(여는 괄호)
+const NO_LINE_START = /^[)\]}〕〉》」』】,.;:!?%·…、。，．：；！？’”'"]/;
+const NO_LINE_END = /[(\[{〔〈《「『【‘“]$/;
+// 한자/가나는 글자 사이 어디서나 줄을 바꿀 수 있다. 한글은 띄어쓰기(어절) 단위로 바꾸고, 한 줄보다 긴 어절만 글자 단위로 나눈다.
+const CJK_IDEOGRAPH = /[぀-ヿ㐀-䶿一-鿿豈-﫿]/;
+
+let fontBytes = null;
+
+// 폰트 파일은 인스턴스마다 한 번만 읽는다. 반환: { regular, bold } (bytes)
+export function loadBundledFonts() {
+    fontBytes ??= Promise.all(Object.entries(FONT_FILES).map(async ([style, file]) => [style, await readFile(path.join(FONT_DIR, file))]))
+        .then(Object.fromEntries)
+        .catch((e) => {
+            fontBytes = null;
+            throw new Error(`번들 폰트를 읽을 수 없습니다 (${FONT_DIR}): ${e.message}`);
+        });
+    return fontBytes;
+}
+
+// 어절/한자 단위 토큰. 금칙 문자는 앞(닫는 부호) 또는 뒤(여는 부호) 토큰에 붙인다.
+function tokenize(paragraph) {
+    const tokens = [];
+    let word = '';
+    const flush = () => {
+        if (word) tokens.push(word);
+        word = '';
+    };
+    for (const ch of paragraph) {
+        if (/\s/.test(ch)) {
+            flush();
+            tokens.push(' ');
+        } else if (CJK_IDEOGRAPH.test(ch)) {
+            if (!NO_LINE_END.test(word)) flush();
+            word += ch;
+            flush();
+        } else if (!word && NO_LINE_START.test(ch) && tokens.length && tokens[tokens.length - 1] !== ' ') {
+            word = tokens.pop() + ch;
+        } else {
+            word += ch;
+        }
+    }
+    flush();
+    return tokens;
+}
+
+export async function createTypesetter(pdfDoc, bytes) {
+    pdfDoc.registerFontkit(fontkit);
+    const fonts = {
+        regular: await pdfDoc.embedFont(bytes.regular, { subset: true }),
+        bold: await pdfDoc.embedFont(bytes.bold, { subset: true }),
+    };
+    const charsets = new Map(Object.values(fonts).map((font) => [font, new Set(font.getCharacterSet())]));
+
+    // 폰트에 없는 글자(이모지 등)는 '?' 로 바꾼다. 줄바꿈 문자는 호출하는 쪽에서 나눈다.
+    const sanitize = (text, font = fonts.regular) => Array.from(String(text ?? ''))
+        .map((ch) => (charsets.get(font).has(ch.codePointAt(0)) ? ch : '?'))
+        .join('');
+
+    const widthOf = (text, size, font = fonts.regular) => font.widthOfTextAtSize(sanitize(text, font), size);
+
+    // 한 줄보다 긴 토큰은 글자 단위로 나눈다. 닫는 부호는 넘치더라도 앞 줄에 남긴다.
+    function breakToken(token, size, maxWidth, font, lines) {
+        let line = '';
+        for (const ch of token) {
+            if (line && widthOf(line + ch, size, font) > maxWidth && !NO_LINE_START.test(ch)) {
+                lines.push(line);
+                line = '';
+            }
+            line += ch;
+        }
+        return line;
+    }
+
+    // 반환: 줄 목록. 빈 줄(문단 사이)은 ''.
+    function wrap(text, size, maxWidth, font = fonts.regular) {
+        const lines = [];
+        for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+            let line = '';
+            let space = false;
+            for (const token of tokenize(paragraph)) {
+                if (token === ' ') {
+                    space = !!line;
+                    continue;
+                }
+                const candidate = line + (space ? ' ' : '') + token;
+                space = false;
+                if (widthOf(candidate, size, font) <= maxWidth) {
+                    line = candidate;
+                    continue;
+                }
+                if (line) lines.push(line);
+                line = widthOf(token, size, font) <= maxWidth ? token : breakToken(token, size, maxWidth, font, lines);
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    return { fonts, sanitize, widthOf, wrap };
+}
+
+// 위에서 아래로 흘려 쓰는 문단 배치. 아래 여백에 닿으면 다음 페이지를 만든다.
+// insertAt 이 있으면 그 위치부터 페이지를 끼워 넣고(표지), 없으면 문서 끝에 붙인다(처리 내역).
+export function createPageFlow(pdfDoc, typesetter, { pageSize, insertAt = null, margin = 50 }) {
+    const [width, height] = pageSize;
+    const pages = [];
+    let page = null;
+    let y = 0;
+
+    const newPage = () => {
+        page = insertAt === null ? pdfDoc.addPage([width, height]) : pdfDoc.insertPage(insertAt + pages.length, [width, height]);
+        pages.push(page);
+        y = height - margin;
+    };
+    newPage();
+
+    const drawLine = (text, { x, size, font, color }) => {
+        if (y - size < margin) newPage();
+        y -= size;
+        if (text) page.drawText(typesetter.sanitize(text, font), { x, y, size, font, color });
+        y -= size * 0.45;
+    };
+
+    return {
+        pages,
+        gap(points) {
+            y -= points;
+        },
+        // 문단: 줄바꿈 후 한 줄씩 적는다
+        text(content, { size = 11, bold = false, color = rgb(0.2, 0.2, 0.2), indent = 0 } = {}) {
+            const font = bold ? typesetter.fonts.bold : typesetter.fonts.regular;
+            const x = margin + indent;
+            for (const line of typesetter.wrap(content, size, width - margin - x, font)) drawLine(line, { x, size, font, color });
+        },
+        // "라벨: 내용" — 내용은 라벨 너비만큼 들여 쓴 채로 줄바꿈한다
+        field(label, content, { size = 11 } = {}) {
+            const { bold, regular } = typesetter.fonts;
+            const prefix = label ? `${label}: ` : '';
+            const labelWidth = typesetter.widthOf(prefix, size, bold);
+            const lines = typesetter.wrap(content, size, width - 2 * margin - labelWidth, regular);
+            lines.forEach((line, i) => {
+                if (y - size < margin) newPage();
+                if (i === 0 && prefix) page.drawText(typesetter.sanitize(prefix, bold), { x: margin, y: y - size, size, font: bold, color: rgb(0, 0, 0) });
+                drawLine(line, { x: margin + labelWidth, size, font: regular, color: rgb(0.2, 0.2, 0.2) });
+            });
+            y -= 5;
+        },
+    };
+}
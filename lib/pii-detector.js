@@ -0,0 +1,161 @@
+// /lib/pii-detector.js
+// 규칙 기반 개인정보 탐지기 (AI 모델 없이 동작, 외부 의존성 없음)
+// detectPii(text, { types }) → [{ type, label, value, start, end }]
+// 날짜/금액은 정책(lib/redaction-policies)에서 지우라고 할 때만 types 로 요청한다.
+
+export const PII_LABELS = {
+    rrn: '주민등록번호',
+    foreigner_rrn: '외국인등록번호',
+    business_no: '사업자등록번호',
+    email: '이메일',
+    phone: '전화번호',
+    vehicle_plate: '차량번호',
+    bank_account: '계좌번호',
+    address: '주소',
+    date: '날짜',
+    amount: '금액',
+};
+
+export const DEFAULT_PII_TYPES = Object.keys(PII_LABELS).filter((type) => type !== 'date' && type !== 'amount');
+
+const REGIONS = [
+    '서울특별시', '서울시', '서울', '부산광역시', '부산시', '부산', '대구광역시', '대구시', '대구',
+    '인천광역시', '인천시', '인천', '광주광역시', '광주시', '광주', '대전광역시', '대전시', '대전',
+    '울산광역시', '울산시', '울산', '세종특별자치시', '세종시', '세종', '경기도', '경기',
+    '강원특별자치도', '강원도', '강원', '충청북도', '충북', '충청남도', '충남',
+    '전북특별자치도', '전라북도', '전북', '전라남도', '전남', '경상북도', '경북', '경상남도', '경남',
+    '제주특별자치도', '제주도', '제주',
+].join('|');
+
+const ADDRESS_RE = new RegExp(
+    `(?<![가-힣])(?:${REGIONS})` +
+    '(?:\\s+[가-힣]{1,10}(?:시|군|구))*' +
+    '(?:\\s+[가-힣]{1,10}(?:읍|면))?' +
+    '(?:\\s+[가-힣0-9]{1,20}(?:로|길)\\s*\\d+(?:-\\d+)?' +
+    '|\\s+[가-힣0-9]{1,10}(?:동|리|가)\\s+(?:산\\s*)?\\d+(?:-\\d+)?(?:\\s*번지)?)' +
+    '(?:\\s*,?\\s*(?:[가-힣A-Za-z0-9]+\\s+)?(?:\\d+\\s*동\\s*)?\\d+\\s*호)?' +
+    '(?:\\s*\\([^()\\n]{1,40}\\))?',
+    'g',
+);
+
+const RRN_RE = /(?<![\d-])(\d{2})(\d{2})(\d{2})\s?-\s?([0-9])([\d*Xx]{6})(?![\d*])/g;
+const BUSINESS_NO_RE = /(?<![\d-])(\d{3})-(\d{2})-(\d{5})(?![\d-])/g;
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const MOBILE_RE = /(?<![\d-])01[016789][-.\s]?\d{3,4}[-.\s]?\d{4}(?![\d-])/g;
+const LANDLINE_RE = /(?<![\d-])\(?0(?:2|[3-6][1-5]|70|50\d?)\)?[-)\s]\s?\d{3,4}-\d{4}(?![\d-])/g;
+const PLATE_RE = /(?<![\d])(?<region>(?:서울|부산|대구|인천|광주|대전|울산|경기|강원|충북|충남|전북|전남|경북|경남|제주)\s?)?(?<lead>\d{2,3})\s?[가나다라마거너더러머버서어저고노도로모보소오조구누두루무부수우주아바사자배하허호]\s?\d{4}(?![\d])/g;
+// 두 자리 앞번호 번호판(12가3456)은 2000년 이전 사건번호(97다1234)와 모양이 같다. 판례 인용 문맥이면 번호판으로 보지 않는다.
+const CITATION_BEFORE_RE = /(?:선고|대법원)\s*$/;
+const CITATION_AFTER_RE = /^(?:\s*,\s*\d{2,4}\s?[가-힣]{1,3}\s?\d+)*\s*(?:판결|결정|사건|전원합의체)/;
+const ACCOUNT_RE = /(?<![\d-])\d{2,6}(?:-\d{2,7}){1,3}(?![\d-])/g;
+const ACCOUNT_KEYWORD_RE = /(계좌|은행|예금|입금|통장|뱅크|농협|신협|수협|새마을금고|우체국)[^\n]{0,30}$/;
+const BARE_ACCOUNT_RE = /(?:계좌번호|계좌)\s*[:：]?\s*(\d{10,16})(?!\d)/g;
+const DATE_RE = /(?<!\d)(?:19|20)\d{2}\s*(?:\.\s*\d{1,2}\s*\.(?:\s*\d{1,2}\s*\.?)?|년\s*\d{1,2}\s*월(?:\s*\d{1,2}\s*일)?)/g;
+const AMOUNT_RE = /(?<![\d,])\d[\d,]*(?:\s*(?:조|억|만|천)(?:\s*\d[\d,]*)?)*\s*원(?!고|심|칙|인|래|문|본|상|장)/g;
+
+const digitsOf = (s) => s.replace(/\D/g, '');
+
+function validBirthDate(mm, dd) {
+    const month = Number(mm);
+    const day = Number(dd);
+    return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+}
+
+// 사업자등록번호 검증번호
+function validBusinessNo(digits) {
+    const weights = [1, 3, 7, 1, 3, 7, 1, 3, 5];
+    let sum = 0;
+    for (let i = 0; i < 9; i++) sum += Number(digits[i]) * weights[i];
+    sum += Math.floor((Number(digits[8]) * 5) / 10);
+    return (10 - (sum % 10)) % 10 === Number(digits[9]);
+}
+
+function* matches(re, text) {
+    re.lastIndex = 0;
+    for (let m = re.exec(text); m; m = re.exec(text)) {
+        yield m;
+        if (m[0].length === 0) re.lastIndex++;
+    }
+}
+
+// 우선순위 순서대로 실행. 앞선 규칙이 잡은 구간과 겹치는 결과는 버린다.
+const RULES = [
+    function* email(text) {
+        for (const m of matches(EMAIL_RE, text)) yield ['email', m.index, m[0]];
+    },
+    function* residentNumber(text) {
+        for (const m of matches(RRN_RE, text)) {
+            const [, , mm, dd, gender] = m;
+            if (!validBirthDate(mm, dd)) continue;
+            const type = '5678'.includes(gender) ? 'foreigner_rrn' : 'rrn';
+            yield [type, m.index, m[0]];
+        }
+    },
+    function* businessNo(text) {
+        for (const m of matches(BUSINESS_NO_RE, text)) {
+            const keyword = /사업자/.test(text.slice(Math.max(0, m.index - 20), m.index));
+            if (keyword || validBusinessNo(digitsOf(m[0]))) yield ['business_no', m.index, m[0]];
+        }
+    },
+    function* phone(text) {
+        for (const m of matches(MOBILE_RE, text)) yield ['phone', m.index, m[0]];
+        for (const m of matches(LANDLINE_RE, text)) yield ['phone', m.index, m[0]];
+    },
+    function* vehiclePlate(text) {
+        for (const m of matches(PLATE_RE, text)) {
+            const { region, lead } = m.groups;
+            if (!region && lead.length === 2) {
+                const end = m.index + m[0].length;
+                if (CITATION_BEFORE_RE.test(text.slice(Math.max(0, m.index - 10), m.index))) continue;
+                if (CITATION_AFTER_RE.test(text.slice(end, end + 80))) continue;
+            }
+            yield ['vehicle_plate', m.index, m[0]];
+        }
+    },
+    function* bankAccount(text) {
+        for (const m of matches(ACCOUNT_RE, text)) {
+            const digits = digitsOf(m[0]);
+            const groups = m[0].split('-').length;
+            const keyword = ACCOUNT_KEYWORD_RE.test(text.slice(Math.max(0, m.index - 40), m.index));
+            if (digits.length < 10 || digits.length > 16) continue;
+            if (keyword || (groups >= 3 && digits.length >= 11)) yield ['bank_account', m.index, m[0]];
+        }
+        for (const m of matches(BARE_ACCOUNT_RE, text)) {
+            yield ['bank_account', m.index + m[0].lastIndexOf(m[1]), m[1]];
+        }
+    },
+    function* address(text) {
+        for (const m of matches(ADDRESS_RE, text)) yield ['address', m.index, m[0].trim()];
+    },
+    function* date(text) {
+        for (const m of matches(DATE_RE, text)) yield ['date', m.index, m[0].trim()];
+    },
+    function* amount(text) {
+        for (const m of matches(AMOUNT_RE, text)) yield ['amount', m.index, m[0]];
+    },
+];
+
+export function detectPii(text, { types = DEFAULT_PII_TYPES } = {}) {
+    if (!text) return [];
+    const found = [];
+    const overlaps = (start, end) => found.some((f) => start < f.end && f.start < end);
+    // 여러 종류의 대시(소프트 하이픈, 전각 등)는 '-' 로 맞춘다. 글자 수는 그대로라 위치가 유지된다.
+    const normalized = text.replace(/[\u00AD\u2010-\u2015\u2212\uFE63\uFF0D]/g, '-');
+
+    for (const rule of RULES) {
+        for (const [type, start, value] of rule(normalized)) {
+            const end = start + value.length;
+            if (overlaps(start, end)) continue;
+            found.push({ type, label: PII_LABELS[type], value: text.slice(start, end), start, end });
+        }
+    }
+    // 겹침은 모든 규칙으로 가린 뒤에 거른다 (둔 전화번호가 계좌번호로 다시 잡히지 않게)
+    return found.filter((f) => types.includes(f.type)).sort((a, b) => a.start - b.start);
+}
+
+// 유형별 건수 (값은 포함하지 않는다)
+export function summarizePii(findings) {
+    const counts = {};
+    for (const { type } of findings) counts[type] = (counts[type] || 0) + 1;
+    return counts;
+}
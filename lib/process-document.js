@@ -0,0 +1,279 @@
+// /lib/process-document.js
+// 판결문 한 건 처리: 분석 → 마스킹 → 유출 검증 → 저장.
+// PDF 는 페이지 내용에서 지우고, DOCX/HWPX 는 파일 안의 글을 바꿔 같은 형식 파일과 PDF 를 함께 만든다.
+// 동기 API(api/redact-document)와 작업 API(api/jobs)가 함께 쓴다. 반환: { status, body } (HTTP 응답과 같은 모양)
+// 같은 내용을 같은 정책/마스킹 방식으로 이미 처리했으면 분석 없이 기존 결과를 돌려준다 (lib/document-fingerprint).
+// input.uploader: 요청한 사용자 { userId, organizationId, apiKeyId } (lib/auth). 행에 남기고 중복 확인은 같은 조직 안에서만 한다.
+// 스테이징 업로드는 결과가 정해졌을 때(저장, 격리 또는 중복)만 지운다. 오류로 끝나면 남겨 두어 다시 시도할 수 있다.
+// options.beforeProcessing: 중복이 아닌 새 문서를 분석하기 직전에 부른다 (하루 한도 확인). 중복 응답은 한도를 쓰지 않는다.
+import { summarizePii } from './pii-detector.js';
+import { verifyRedaction, verifySourceFile, mergeVerifications, describeFindings, textLayerPagesOf } from './verify-redaction.js';
+import { findCaseReferences, findCourtName, parseCaseReference } from './case-number.js';
+import { createPseudonymRegistry } from './pseudonym-registry.js';
+import { createAnalysisProvider, analyzeDocument, buildAnalysisPrompt, EMPTY_ANALYSIS, AnalysisError } from './analysis/index.js';
+import {
+    loadCoverFont, loadSanitizedPdf, detectDocumentPii, renderRedactedPdf, detectOfficePii, findOfficeMentions, officeHeaderText, renderRedactedOffice,
+} from './redaction-pipeline.js';
+import { ORIGINALS_BUCKET, REVIEW_BUCKET, QUEUE_TABLE, recordEvent, storedNames } from './review-workflow.js';
+import { readStagingUpload, removeStagingUpload, StagingError } from './staging-upload.js';
+import { setVerification, sha256 } from './redaction-report.js';
+import { MASK_MODES, resolveMaskMode, findPartyMentions, mentionTargets } from './entity-masking.js';
+import { loadPolicy, hiddenParties, PolicyError } from './redaction-policies.js';
+import { judgmentColumns } from './judgment-metadata.js';
+import { CONTENT_TYPES, OfficeError, isPdf, loadOfficePackage } from './office/index.js';
+import { AuthError } from './auth.js';
+import { findExactDuplicate, findOtherVersions, duplicateResponse, versionSummary } from './document-fingerprint.js';
+
+export const STAGES = ['queued', 'analyzing', 'masking', 'verifying', 'uploading', 'done'];
+
+// 요청 값이 잘못된 경우 (400)
+export class InputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InputError';
+        this.status = 400;
+    }
+}
+
+// 처리 중 오류 → { status, body }
+export function errorResponse(error) {
+    if (error instanceof StagingError || error instanceof InputError || error instanceof PolicyError || error instanceof OfficeError) return { status: error.status, body: { error: error.message } };
+    if (error instanceof AuthError) return { status: error.status, body: { error: error.message, ...(error.retryAfter ? { retryAfter: error.retryAfter } : {}) } };
+    console.error("Server Error:", error);
+    return { status: 500, body: { error: error.message } };
+}
+
+export async function processDocument(supabase, input, onStage = () => {}, { beforeProcessing = async () => {} } = {}) {
+    // 분석 제공자가 없어도 규칙 기반 탐지/마스킹은 계속 수행한다
+    const provider = createAnalysisProvider();
+    if (!provider) console.warn("⚠️ 분석 제공자가 없습니다. 규칙 기반 탐지만 수행합니다.");
+
+    let { fileBase64, fileName, relatedCaseNos, uploadId, reportPage, uploader = null } = input;
+    const maskMode = resolveMaskMode(input.maskMode);
+    if (!maskMode) throw new InputError(`지원하지 않는 마스킹 방식입니다 (${MASK_MODES.join(', ')} 중 하나).`);
+    // 비식별화 정책: 무엇을 가명/삭제/유지할지 (탐지, 분석 지시, 렌더링, 검증에 모두 적용)
+    const policy = await loadPolicy(supabase, input.policy);
+
+    // 대용량 파일은 스테이징 버킷에 직접 올라온 것을 ID 로 받는다 (api/uploads). 처리 후 스테이징 파일은 지운다.
+    let originalBytes;
+    if (uploadId) {
+        ({ fileName, bytes: originalBytes } = await readStagingUpload(supabase, uploadId, uploader));
+    } else {
+        if (!fileBase64) throw new InputError("파일 데이터가 없습니다.");
+        let cleanBase64 = fileBase64;
+        if (cleanBase64.includes("base64,")) cleanBase64 = cleanBase64.split("base64,")[1];
+        cleanBase64 = cleanBase64.replace(/[\r\n\s]/g, '');
+        originalBytes = Buffer.from(cleanBase64, 'base64');
+    }
+
+    console.log(`📄 데이터 준비 완료 (${fileName})`);
+
+    // [Task A-0] 중복 확인: 같은 내용을 이미 처리했으면 분석 비용을 쓰지 않고 그 결과를 돌려준다
+    const contentHash = sha256(originalBytes);
+    // DOCX/HWPX 는 마스킹 방식과 관계없이 개체 단위로 처리된다 (보고서의 maskMode 도 entity)
+    const existing = await findExactDuplicate(supabase, contentHash, { policy: policy.name, maskMode: isPdf(originalBytes) ? maskMode : 'entity', organizationId: uploader?.organizationId });
+    if (existing) {
+        console.log(`♻️ 이미 처리된 문서 (${fileName} → #${existing.id}, ${existing.status})`);
+        if (uploadId) await removeStagingUpload(supabase, uploadId);
+        return duplicateResponse(existing);
+    }
+    await beforeProcessing();
+
+    // [Task B] AI 분석 (제공자 호출 + 스키마 검증 + 재시도, lib/analysis)
+    // 모든 시도가 실패해도 요청을 실패시키지 않고 규칙 기반 탐지만으로 처리한다 (실패한 시도는 보고서에 남는다)
+    const analyzeDoc = async () => {
+        if (!provider) return { meta: { ...EMPTY_ANALYSIS, parties: [] }, provider: null, model: null, attempts: [] };
+        try {
+            // DOCX/HWPX 는 원본을 첨부하지 않고 뽑은 텍스트만 보낸다
+            return await analyzeDocument(provider, {
+                prompt: buildAnalysisPrompt({ knownPseudonyms: hiddenKnown.map(({ role, pseudonym }) => ({ role, pseudonym })), policy }),
+                document: { base64: office ? null : originalBytes.toString('base64'), text: documentText },
+                pageCount: pdfDoc ? pdfDoc.getPageCount() : undefined,
+            });
+        } catch (error) {
+            if (!(error instanceof AnalysisError)) throw error;
+            console.warn(`⚠️ ${error.message}. 규칙 기반 탐지만으로 처리합니다.`);
+            return { meta: { ...EMPTY_ANALYSIS, parties: [] }, provider: provider.name, model: null, attempts: error.attempts, failed: true };
+        }
+    };
+
+    // [Task A] 표지용 번들 폰트 읽기
+    const fontPromise = loadCoverFont();
+
+    await onStage('analyzing');
+
+    // [Task C] 규칙 기반 개인정보 탐지 (AI 분석과 별개로 항상 수행)
+    // PDF 는 숨은 내용(문서 속성, 주석, 첨부, 양식 등)을 먼저 정리하고, DOCX/HWPX 는 본문/머리글/각주/메모/변경 이력의 문단에서 찾는다.
+    let pdfDoc = null;
+    let sanitized = [];
+    let office = null;
+    let pageTexts = [];
+    let sourceTexts = [];
+    let piiFindings;
+    if (isPdf(originalBytes)) {
+        ({ pdfDoc, sanitized } = await loadSanitizedPdf(originalBytes, policy));
+        ({ pageTexts, piiFindings } = detectDocumentPii(pdfDoc, policy));
+    } else {
+        office = loadOfficePackage(originalBytes);
+        ({ texts: sourceTexts, piiFindings } = detectOfficePii(office, policy));
+        console.log(`📄 ${office.format.toUpperCase()} 문단 ${sourceTexts.length}개`);
+    }
+    const format = office ? office.format : 'pdf';
+    const documentText = office ? sourceTexts.map((t) => t.text).join('\n') : pageTexts.map((page) => page.text).join('\n\n');
+    console.log("🔎 규칙 기반 탐지:", JSON.stringify(summarizePii(piiFindings)));
+
+    // [Task C-2] 가명 등록부: 같은 조직/법원/사건의 기존 가명을 불러와 분석에 넘기고(실명 제외), 결과에 강제 적용한다
+    // relatedCaseNos 는 "서울고등법원 2020나1234" 처럼 법원과 함께 받는다 (법원이 없으면 쓰지 않음)
+    const registry = createPseudonymRegistry(supabase, { organizationId: uploader?.organizationId });
+    const headerText = office
+        ? officeHeaderText(sourceTexts)
+        : pageTexts.slice(0, 2).map((page) => page.text).join('\n');
+    const caseRefs = [
+        ...findCaseReferences(headerText),
+        ...(Array.isArray(relatedCaseNos) ? relatedCaseNos : []).map(parseCaseReference).filter((ref) => ref?.court),
+    ];
+    const knownParties = await registry.load(await registry.resolveCaseGroup(caseRefs));
+    const hiddenKnown = hiddenParties(policy, knownParties);
+
+    const [fonts, analysis] = await Promise.all([fontPromise, analyzeDoc()]);
+    const metaInfo = analysis.meta;
+    metaInfo.piiDetected = summarizePii(piiFindings);
+    // 정책상 그대로 두는 당사자/대리인은 가명 등록부와 검증 대상에서 뺀다
+    metaInfo.parties = hiddenParties(policy, metaInfo.parties || []);
+
+    const caseGroup = await registry.resolveCaseGroup([...caseRefs, { court: findCourtName(headerText) || metaInfo.court, caseNo: metaInfo.caseNo }]);
+    await registry.enforce(caseGroup, metaInfo, knownParties);
+
+    await onStage('masking');
+
+    // [Task D] PDF 수정 (+ 처리 보고서). entity 모드는 본문 전체에서 당사자 이름이 나온 자리를 찾아 가명으로 바꾼다.
+    // DOCX/HWPX 는 마스킹 방식과 관계없이 이름/개인정보가 나온 자리의 글을 바꾼다 (fileBytes: 같은 형식 결과 파일).
+    const { parties = [], ...publicMeta } = metaInfo;
+    const targets = mentionTargets(policy, [...parties, ...hiddenKnown], metaInfo);
+    const partyMentions = office
+        ? findOfficeMentions(sourceTexts, targets)
+        : maskMode === 'entity' ? findPartyMentions(pageTexts, targets) : [];
+    if (partyMentions.length) console.log(`✂️ 당사자 이름 ${partyMentions.length}곳 (개체 단위 마스킹)`);
+    const analysisLog = { provider: analysis.provider, model: analysis.model, attempts: analysis.attempts, failed: analysis.failed === true };
+    const aiResult = { meta: publicMeta, analysis: analysisLog };
+    const reportContext = {
+        inputBytes: originalBytes,
+        analysis: analysisLog,
+        pseudonyms: parties.map((p) => ({ role: p.role, pseudonym: p.pseudonym, mappingId: registry.mappingIdOf(p.name) })),
+        appendPage: reportPage === true,
+    };
+    const { pdfBytes, fileBytes = null, report } = office
+        ? await renderRedactedOffice(office, metaInfo, { fonts, piiFindings, partyMentions, policy, reportContext })
+        : await renderRedactedPdf(pdfDoc, metaInfo, { fonts, piiFindings, partyMentions, maskMode, policy, sanitized, reportContext });
+
+    await onStage('verifying');
+
+    // [Task E] 유출 검증: 결과물에 실명/개인정보가 남아 있으면 공개 업로드를 막고 격리한다 (DOCX/HWPX 는 결과 파일도 함께)
+    const leakTargets = {
+        names: [...parties.map((p) => p && p.name), ...hiddenKnown.map((p) => p.name)].filter(Boolean),
+        pii: piiFindings,
+    };
+    let verification = await verifyRedaction(pdfBytes, { ...leakTargets, textLayerPages: textLayerPagesOf(report) });
+    if (fileBytes) verification = mergeVerifications(verification, verifySourceFile(fileBytes, leakTargets));
+    setVerification(report, verification);
+    // 검색용 컬럼 (법원, 사건번호, 선고일, 심급, 결과)
+    const judgment = judgmentColumns(metaInfo, { headerText });
+    // 같은 사건인데 내용이 다른 문서가 있으면 새 버전일 수 있다고 표시한다 (가장 최근 것을 version_of 로)
+    const versions = await findOtherVersions(supabase, judgment.case_key, contentHash, uploader?.organizationId);
+    const uploaderColumns = { uploaded_by: uploader?.userId ?? null, organization_id: uploader?.organizationId ?? null, api_key_id: uploader?.apiKeyId ?? null };
+    if (versions.length) console.warn(`⚠️ 같은 사건의 다른 문서가 있습니다 (${judgment.case_no}: ${versions.map((v) => `#${v.id}`).join(', ')})`);
+    const timestamp = new Date().getTime();
+
+    if (!verification.clean) {
+        const quarantine = storedNames(`QUARANTINE_${timestamp}_${fileName.replace(/[^a-zA-Z0-9.]/g, "_")}`, format);
+        const quarantineName = quarantine.source || quarantine.pdf;
+        console.warn(`🚫 유출 검증 실패 (${fileName}): ${describeFindings(verification.findings)}`);
+
+        const { error: quarantineError } = await supabase.storage.from('legal-quarantine').upload(quarantine.pdf, pdfBytes, { contentType: 'application/pdf', upsert: false });
+        if (quarantineError) throw quarantineError;
+        if (fileBytes) {
+            const { error: sourceError } = await supabase.storage.from('legal-quarantine').upload(quarantine.source, fileBytes, { contentType: CONTENT_TYPES[format], upsert: false });
+            if (sourceError) throw sourceError;
+        }
+
+        // 격리 기록을 남기지 못하면 실패로 끝낸다 (스테이징 업로드는 남겨 다시 시도할 수 있게)
+        const { error: queueError } = await supabase.from(QUEUE_TABLE).insert({
+            filename: quarantineName,
+            status: 'quarantined',
+            source_format: format,
+            content_sha256: contentHash,
+            ...uploaderColumns,
+            case_group: caseGroup,
+            policy: policy.name,
+            ...judgment,
+            ai_result: aiResult,
+            verification,
+            redaction_report: report
+        });
+        if (queueError) throw queueError;
+
+        if (uploadId) await removeStagingUpload(supabase, uploadId);
+        return {
+            status: 422,
+            body: {
+                error: `비식별화 검증 실패: ${describeFindings(verification.findings)}`,
+                quarantined: true,
+                findings: verification.findings
+            },
+        };
+    }
+
+    await onStage('uploading');
+
+    // [Task F] 업로드: 원본과 검토본은 비공개 버킷에 두고, 승인(api/documents/[id]/approve)된 문서만 공개한다
+    // DOCX/HWPX 는 검토본 PDF(review_key)와 같은 형식 결과 파일(review_source_key)을 함께 올린다
+    const baseName = fileName.replace(/[^a-zA-Z0-9.]/g, "_");
+    const review = storedNames(`SECURE_${timestamp}_${baseName}`, format);
+    const safeName = review.source || review.pdf;
+    const originalKey = `ORIGINAL_${timestamp}_${baseName}`;
+
+    const { error: originalError } = await supabase.storage.from(ORIGINALS_BUCKET).upload(originalKey, originalBytes, { contentType: CONTENT_TYPES[format], upsert: false });
+    if (originalError) throw originalError;
+    const { error: uploadError } = await supabase.storage.from(REVIEW_BUCKET).upload(review.pdf, pdfBytes, { contentType: 'application/pdf', upsert: false });
+    if (uploadError) throw uploadError;
+    if (fileBytes) {
+        const { error: sourceError } = await supabase.storage.from(REVIEW_BUCKET).upload(review.source, fileBytes, { contentType: CONTENT_TYPES[format], upsert: false });
+        if (sourceError) throw sourceError;
+    }
+
+    const { data: queued, error: queueError } = await supabase.from(QUEUE_TABLE).insert({
+        filename: safeName,
+        original_key: originalKey,
+        review_key: review.pdf,
+        review_source_key: review.source,
+        source_format: format,
+        status: 'pending',
+        content_sha256: contentHash,
+        version_of: versions[0]?.id ?? null,
+        ...uploaderColumns,
+        case_group: caseGroup,
+        policy: policy.name,
+        ...judgment,
+        ai_result: aiResult,
+        verification,
+        redaction_report: report
+    }).select('id').single();
+    if (queueError) throw queueError;
+    await recordEvent(supabase, { documentId: queued.id, action: 'upload', fromStatus: null, toStatus: 'pending', actor: uploader?.userId || 'system', details: versions.length ? { possibleVersionOf: versions[0].id } : {} });
+
+    if (uploadId) await removeStagingUpload(supabase, uploadId);
+    return {
+        status: 200,
+        body: {
+            success: true,
+            message: analysis.failed ? "완료 (AI 분석 실패, 규칙 기반 처리만 수행)" : analysis.provider ? "완료" : "완료 (AI 분석 없이 규칙 기반 처리만 수행)",
+            documentId: queued.id,
+            format,
+            possibleVersionOf: versions.map(versionSummary),
+            extractedMeta: publicMeta,
+            judgment,
+            analysis: analysisLog,
+            report
+        },
+    };
+}
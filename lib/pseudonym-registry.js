@@ -0,0 +1,177 @@
+// /lib/pseudonym-registry.js
+// 사건별 가명 등록부: 같은 사건(1심/항소심/상고심)의 문서들에서 같은 당사자가 항상 같은 가명을 갖게 한다.
+// - 사건번호와 당사자 이름은 HMAC 으로만 색인하고, 실명은 AES-256-GCM 으로 암호화해 저장한다.
+// - 사건 키는 조직 + 법원 + 사건번호다. 다른 법원의 같은 번호나 다른 조직의 문서와는 가명을 나누지 않는다.
+// - 등록된 실명은 검증/마스킹에만 쓰고 분석 제공자에게는 보내지 않는다 (가명과 역할만 보낸다).
+// - PSEUDONYM_REGISTRY_KEY 가 없으면 등록부를 쓰지 않는다(경고만 남김).
+import crypto from 'node:crypto';
+import { normalizeCaseNo, normalizeCourt } from './case-number.js';
+import { caseKeyOf } from './judgment-metadata.js';
+
+const CASES_TABLE = 'pseudonym_cases';
+const REGISTRY_TABLE = 'pseudonym_registry';
+const TEXT_FIELDS = ['parties_anonymized', 'lawyer_info', 'order_anonymized', 'claim_anonymized'];
+
+// "(주)가나", "주식회사 가나", "가 나" 를 같은 당사자로 본다
+export function normalizePartyName(name) {
+    return String(name || '')
+        .normalize('NFKC')
+        .replace(/주식회사|\(주\)|㈜|유한회사|\(유\)/g, '')
+        .replace(/[\s\p{P}\p{S}]/gu, '')
+        .toLowerCase();
+}
+
+// "원고 A" → { prefix: '원고', letter: 'A' }
+function splitPseudonym(pseudonym) {
+    const m = /^(.*?)\s*([A-Z]{1,2})$/.exec(String(pseudonym || '').trim());
+    return m ? { prefix: m[1].trim(), letter: m[2] } : { prefix: String(pseudonym || '').trim(), letter: null };
+}
+
+function nextLetter(used) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    for (const a of ['', ...alphabet]) {
+        for (const b of alphabet) {
+            if (!used.has(a + b)) return a + b;
+        }
+    }
+    return null;
+}
+
+// 여러 가명을 한 번에 바꾼다 (A→B, B→A 같은 교차 치환도 안전)
+export function applyPseudonymRenames(meta, renames) {
+    if (!renames.size) return meta;
+    const escaped = [...renames.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map((k) => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const re = new RegExp(`(?:${escaped.join('|')})(?![A-Za-z0-9])`, 'g');
+    for (const field of TEXT_FIELDS) {
+        if (typeof meta[field] === 'string') meta[field] = meta[field].replace(re, (m) => renames.get(m));
+    }
+    return meta;
+}
+
+// organizationId: 업로드한 사용자의 조직 (lib/auth). 사건 그룹은 조직마다 따로 만든다.
+export function createPseudonymRegistry(supabase, { organizationId = null, secret = process.env.PSEUDONYM_REGISTRY_KEY } = {}) {
+    const enabled = !!(secret && secret.trim());
+    if (!enabled) console.warn("⚠️ PSEUDONYM_REGISTRY_KEY가 없어 가명 등록부를 사용하지 않습니다.");
+
+    const derive = (info) => Buffer.from(crypto.hkdfSync('sha256', secret.trim(), Buffer.alloc(0), info, 32));
+    const indexKey = enabled ? derive('pseudonym-registry:index') : null;
+    const encKey = enabled ? derive('pseudonym-registry:encryption') : null;
+
+    const hmac = (value) => crypto.createHmac('sha256', indexKey).update(value).digest('hex');
+
+    const encrypt = (plain) => {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', encKey, iv);
+        const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+    };
+
+    const decrypt = (encoded) => {
+        const buf = Buffer.from(encoded, 'base64');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', encKey, buf.subarray(0, 12));
+        decipher.setAuthTag(buf.subarray(12, 28));
+        return Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]).toString('utf8');
+    };
+
+    // { court, caseNo } → HMAC (법원이나 사건번호를 알 수 없으면 null)
+    const caseKey = ({ court, caseNo }) => {
+        const key = caseKeyOf(normalizeCourt(court), normalizeCaseNo(caseNo));
+        return key ? hmac(`case:${organizationId || ''}|${key}`) : null;
+    };
+    const partyKey = (name) => hmac(`party:${normalizePartyName(name)}`);
+
+    // 사건들 [{ court, caseNo }] → 사건 그룹 ID. 이미 등록된 사건이 있으면 그 그룹을 쓰고, 나머지 사건을 그룹에 연결한다.
+    async function resolveCaseGroup(refs) {
+        if (!enabled) return null;
+        const keys = [...new Set(refs.filter(Boolean).map(caseKey).filter(Boolean))];
+        if (!keys.length) return null;
+
+        const { data, error } = await supabase.from(CASES_TABLE)
+            .select('case_key, case_group, created_at')
+            .in('case_key', keys)
+            .order('created_at', { ascending: true });
+        if (error) throw error;
+
+        const groups = [...new Set((data || []).map((row) => row.case_group))];
+        if (groups.length > 1) console.warn(`⚠️ 사건번호가 서로 다른 가명 그룹 ${groups.length}개에 걸쳐 있습니다. 가장 오래된 그룹을 사용합니다.`);
+        const caseGroup = groups[0] || crypto.randomUUID();
+
+        const known = new Set((data || []).map((row) => row.case_key));
+        const rows = keys.filter((k) => !known.has(k)).map((k) => ({ case_key: k, case_group: caseGroup }));
+        if (rows.length) {
+            const { error: insertError } = await supabase.from(CASES_TABLE).upsert(rows, { onConflict: 'case_key', ignoreDuplicates: true });
+            if (insertError) throw insertError;
+        }
+        return caseGroup;
+    }
+
+    // 그룹의 등록된 당사자 [{ partyKey, role, pseudonym, name }]
+    async function load(caseGroup) {
+        if (!enabled || !caseGroup) return [];
+        const { data, error } = await supabase.from(REGISTRY_TABLE)
+            .select('party_key, role, pseudonym, name_enc')
+            .eq('case_group', caseGroup);
+        if (error) throw error;
+        return (data || []).map((row) => ({
+            partyKey: row.party_key, role: row.role, pseudonym: row.pseudonym, name: decrypt(row.name_enc),
+        }));
+    }
+
+    // 분석 결과의 당사자 가명을 등록부에 맞추고, 새 당사자는 등록한다. meta 를 직접 고친다.
+    async function enforce(caseGroup, meta, known = []) {
+        if (!enabled || !caseGroup || !Array.isArray(meta.parties)) return meta;
+
+        const byKey = new Map(known.map((entry) => [entry.partyKey, entry]));
+        const usedLetters = new Set(known.map((entry) => splitPseudonym(entry.pseudonym).letter).filter(Boolean));
+        const parties = meta.parties.filter((p) => p && p.name).map((p) => ({ party: p, key: partyKey(p.name), original: p.pseudonym }));
+        const inserts = [];
+
+        // 1) 이미 등록된 당사자는 등록부 가명으로 고정
+        for (const { party, key } of parties) {
+            if (byKey.has(key)) party.pseudonym = byKey.get(key).pseudonym;
+        }
+        // 2) 새 당사자는 AI 가명을 쓰되, 글자가 겹치면 비어 있는 글자로 바꾼다
+        for (const { party, key } of parties) {
+            if (byKey.has(key)) continue;
+            const { prefix, letter } = splitPseudonym(party.pseudonym);
+            const pseudonym = letter && !usedLetters.has(letter)
+                ? party.pseudonym.trim()
+                : `${prefix || party.role || '당사자'} ${nextLetter(usedLetters)}`;
+            usedLetters.add(splitPseudonym(pseudonym).letter);
+            const entry = { partyKey: key, role: party.role || null, pseudonym, name: party.name };
+            byKey.set(key, entry);
+            inserts.push(entry);
+            party.pseudonym = pseudonym;
+        }
+
+        if (inserts.length) {
+            const { error } = await supabase.from(REGISTRY_TABLE).upsert(inserts.map((entry) => ({
+                case_group: caseGroup,
+                party_key: entry.partyKey,
+                role: entry.role,
+                pseudonym: entry.pseudonym,
+                name_enc: encrypt(entry.name),
+            })), { onConflict: 'case_group,party_key', ignoreDuplicates: true });
+            if (error) throw error;
+
+            // 동시에 다른 요청이 먼저 등록했다면 저장된 가명을 따른다
+            const stored = new Map((await load(caseGroup)).map((entry) => [entry.partyKey, entry]));
+            for (const { party, key } of parties) {
+                if (stored.has(key)) party.pseudonym = stored.get(key).pseudonym;
+            }
+        }
+
+        const renames = new Map();
+        for (const { party, original } of parties) {
+            if (original && original !== party.pseudonym) renames.set(original, party.pseudonym);
+        }
+        return applyPseudonymRenames(meta, renames);
+    }
+
+    // 처리 보고서에 남기는 당사자 식별자 (HMAC, 실명을 되돌릴 수 없음). 등록부를 쓰지 않으면 null.
+    const mappingIdOf = (name) => (enabled && name ? partyKey(name) : null);
+
+    return { enabled, resolveCaseGroup, load, enforce, mappingIdOf };
+}
@@ -0,0 +1,152 @@
+// /lib/redaction-jobs.js
+// 비동기 처리 작업 (redaction_jobs). 제출하면 바로 작업 ID 를 돌려주고, 처리는 응답 후에 이어서 한다.
+// status: queued → running → completed / failed,  stage: lib/process-document.js 의 STAGES
+import { processDocument, errorResponse } from './process-document.js';
+import { MASK_MODES, resolveMaskMode } from './entity-masking.js';
+import { loadPolicy, PolicyError } from './redaction-policies.js';
+
+export const JOBS_TABLE = 'redaction_jobs';
+export const TERMINAL_STATUSES = ['completed', 'failed'];
+
+// 함수 최대 실행 시간(api/jobs maxDuration)보다 오래 갱신이 없으면 중간에 끊긴 작업으로 본다
+const STALE_AFTER_MS = 320 * 1000;
+
+export class JobError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'JobError';
+        this.status = status;
+    }
+}
+
+// 처리 결과 상태 코드로 다시 시도할 가치가 있는지 판단한다 (서버/제공자 오류, 업로드 미완료, 하루 한도 초과)
+const isRetryable = (status) => status >= 500 || status === 409 || status === 429;
+
+async function updateJob(supabase, id, changes) {
+    const { error } = await supabase.from(JOBS_TABLE)
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', id);
+    if (error) throw error;
+}
+
+export async function findJobByKey(supabase, idempotencyKey) {
+    const { data, error } = await supabase.from(JOBS_TABLE).select('*').eq('idempotency_key', idempotencyKey).maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// 같은 멱등 키로 이미 만든 작업: 입력이 같을 때만 그 작업을 돌려준다
+function replayJob(job, input) {
+    if (JSON.stringify(job.input) !== JSON.stringify(input)) throw new JobError(422, "같은 Idempotency-Key 로 다른 작업이 이미 접수되었습니다.");
+    return { job, replayed: true };
+}
+
+// 작업 입력은 업로드 ID 로만 받는다 (파일 본문은 api/uploads 로 스테이징에 올린다)
+// idempotencyKey 가 있으면 같은 키의 재시도는 새 작업을 만들지 않는다. 반환: { job, replayed }
+// uploader: 요청한 사용자 (lib/auth uploaderOf). 작업 입력과 user_id/organization_id 에 남긴다.
+export async function createJob(supabase, { uploadId, reportPage, relatedCaseNos, maskMode, policy }, { idempotencyKey = null, uploader = null } = {}) {
+    if (!uploadId) throw new JobError(400, "uploadId가 없습니다. 파일은 /api/uploads 로 먼저 올려야 합니다.");
+    const mode = resolveMaskMode(maskMode);
+    if (!mode) throw new JobError(400, `지원하지 않는 마스킹 방식입니다 (${MASK_MODES.join(', ')} 중 하나).`);
+    // 정책 이름은 접수할 때 확인하고, 규칙은 처리할 때 다시 읽는다
+    let policyName;
+    try {
+        ({ name: policyName } = await loadPolicy(supabase, policy));
+    } catch (error) {
+        if (error instanceof PolicyError) throw new JobError(error.status, error.message);
+        throw error;
+    }
+    const input = { uploadId, reportPage: reportPage === true, maskMode: mode, policy: policyName, relatedCaseNos: Array.isArray(relatedCaseNos) ? relatedCaseNos : [], uploader };
+
+    if (idempotencyKey) {
+        const existing = await findJobByKey(supabase, idempotencyKey);
+        if (existing) return replayJob(existing, input);
+    }
+    const { data, error } = await supabase.from(JOBS_TABLE).insert({
+        status: 'queued',
+        stage: 'queued',
+        input,
+        attempts: 0,
+        idempotency_key: idempotencyKey,
+        user_id: uploader?.userId ?? null,
+        organization_id: uploader?.organizationId ?? null,
+    }).select('*').single();
+    // 같은 키의 요청이 동시에 들어와 고유 인덱스에 걸린 경우
+    if (error?.code === '23505' && idempotencyKey) {
+        const existing = await findJobByKey(supabase, idempotencyKey);
+        if (existing) return replayJob(existing, input);
+    }
+    if (error) throw error;
+    return { job: data, replayed: false };
+}
+
+export async function getJob(supabase, id) {
+    const { data, error } = await supabase.from(JOBS_TABLE).select('*').eq('id', id).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new JobError(404, "작업을 찾을 수 없습니다.");
+
+    if (!TERMINAL_STATUSES.includes(data.status) && Date.now() - new Date(data.updated_at).getTime() > STALE_AFTER_MS) {
+        const error = { status: 504, error: "처리 시간이 초과되어 작업이 중단되었습니다.", retryable: true };
+        await updateJob(supabase, id, { status: 'failed', error, finished_at: new Date().toISOString() });
+        return { ...data, status: 'failed', error };
+    }
+    return data;
+}
+
+// 같은 조직의 작업만 보고 다시 시도할 수 있다 (없는 작업과 구분하지 않는다).
+// 조직이 없는 작업(조직 도입 이전 작업)은 만든 사용자 본인만, 만든 사람도 알 수 없으면 아무도 볼 수 없다.
+export function assertJobAccess(job, principal) {
+    const owner = job.user_id ?? job.input?.uploader?.userId ?? null;
+    const allowed = job.organization_id ? job.organization_id === principal.organizationId : owner !== null && owner === principal.userId;
+    if (!allowed) throw new JobError(404, "작업을 찾을 수 없습니다.");
+    return job;
+}
+
+// quota: 하루 한도 (lib/usage-limits dailyQuotaFor). 중복이 아닌 새 문서를 분석하기 직전에 쓰고, 결과에 따라 돌려준다.
+export async function runJob(supabase, job, { quota = null } = {}) {
+    const startedAt = new Date().toISOString();
+    await updateJob(supabase, job.id, { status: 'running', stage: 'queued', attempts: (job.attempts || 0) + 1, started_at: startedAt, error: null });
+    console.log(`⏳ 작업 시작 (${job.id}, ${(job.attempts || 0) + 1}회차)`);
+
+    let outcome;
+    try {
+        outcome = await processDocument(supabase, job.input, (stage) => updateJob(supabase, job.id, { stage }), { beforeProcessing: quota?.claim });
+    } catch (error) {
+        outcome = errorResponse(error);
+    }
+    await quota?.settle(outcome);
+
+    const finishedAt = new Date().toISOString();
+    if (outcome.status === 200) {
+        await updateJob(supabase, job.id, {
+            status: 'completed', stage: 'done', result: outcome.body, document_id: outcome.body.documentId, finished_at: finishedAt,
+        });
+    } else {
+        await updateJob(supabase, job.id, {
+            status: 'failed', error: { status: outcome.status, ...outcome.body, retryable: isRetryable(outcome.status) }, finished_at: finishedAt,
+        });
+    }
+    console.log(`${outcome.status === 200 ? '✅' : '⚠️'} 작업 종료 (${job.id}): ${outcome.status}`);
+}
+
+// 실패한 작업을 처음 단계부터 다시 대기열에 넣는다
+export async function requeueJob(supabase, job) {
+    if (job.status !== 'failed') throw new JobError(409, `'${job.status}' 상태의 작업은 다시 시도할 수 없습니다.`);
+    if (!job.error?.retryable) throw new JobError(409, "다시 시도해도 결과가 같은 실패입니다 (입력 오류 또는 유출 검증 실패).");
+
+    const { data, error } = await supabase.from(JOBS_TABLE)
+        .update({ status: 'queued', stage: 'queued', error: null, updated_at: new Date().toISOString() })
+        .eq('id', job.id)
+        .eq('status', 'failed')
+        .select('*')
+        .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new JobError(409, "이미 다시 시도 중인 작업입니다.");
+    return data;
+}
+
+// 작업 상태 응답 (입력의 업로드 ID 등 내부 값은 빼고 보낸다)
+export function publicJob(job) {
+    const { id, status, stage, attempts, result, error, document_id, created_at, updated_at, finished_at } = job;
+    return { id, status, stage, attempts, result, error, documentId: document_id, createdAt: created_at, updatedAt: updated_at, finishedAt: finished_at };
+}
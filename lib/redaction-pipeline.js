@@ -0,0 +1,285 @@
+// /lib/redaction-pipeline.js
+// 업로드 처리(lib/process-document)와 검토 단계의 재생성(api/documents/...)이 함께 쓰는 PDF 처리 단계들.
+// DOCX/HWPX 는 파일 안의 글을 직접 바꾸고, 바꾼 글을 PDF 로 옮겨 적는다 (아래 renderRedactedOffice).
+import { PDFDocument, rgb } from 'pdf-lib';
+import { redactRegions } from './pdf/redact.js';
+import { extractPageTexts, rectsForRange } from './pdf/text-extract.js';
+import { loadBundledFonts, createTypesetter, createPageFlow } from './pdf/typesetter.js';
+import { sanitizeDocument, removeInvisibleText } from './pdf/sanitize.js';
+import { pruneUnreachable } from './pdf/objects.js';
+import { detectPii } from './pii-detector.js';
+import { createRedactionReport, drawReportPage, setOutput, setSourceOutput } from './redaction-report.js';
+import { DEFAULT_MASK_MODE, drawEntityBox, findNameMentions, findPartyMentions, mentionTargets } from './entity-masking.js';
+import { PART_KINDS, loadOfficePackage, officeTexts, rewriteOfficePackage } from './office/index.js';
+import { actionOf, coverMetaFor, defaultPolicy, hiddenContentRules, removedPiiTypes } from './redaction-policies.js';
+
+// 표지/처리 내역용 번들 폰트 (lib/pdf/typesetter). 요청마다 내려받지 않는다.
+export const loadCoverFont = loadBundledFonts;
+
+// 원본을 읽는다. pdf-lib 가 문서 속성(Producer 등)을 새로 쓰지 않게 하고, 숨은 내용은 정책대로 바로 지운다.
+// 양식 값은 이 단계에서 페이지 내용이 되므로 이후 탐지/마스킹/검증을 똑같이 거친다. 반환: { pdfDoc, sanitized }
+export async function loadSanitizedPdf(bytes, policy = defaultPolicy()) {
+    const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+    const sanitized = sanitizeDocument(pdfDoc, hiddenContentRules(policy));
+    if (sanitized.length) console.log("🧹 숨은 내용 제거:", sanitized.map(({ type, count }) => `${type} ${count}`).join(', '));
+    return { pdfDoc, sanitized };
+}
+
+// 규칙 기반 개인정보 탐지 (정책에서 지우기로 한 유형만). 결과마다 페이지와 글자 위치(rects)를 붙인다.
+export function detectDocumentPii(pdfDoc, policy = defaultPolicy()) {
+    const pageTexts = extractPageTexts(pdfDoc);
+    const types = removedPiiTypes(policy);
+    const piiFindings = pageTexts.flatMap((page) => detectPii(page.text, { types }).map((finding) => ({
+        ...finding,
+        pageIndex: page.pageIndex,
+        rects: rectsForRange(page, finding.start, finding.end),
+    })));
+    return { pageTexts, piiFindings };
+}
+
+// 마스킹 영역: maskEndPage 이전 페이지는 전체, maskEndPage 페이지는 상단 maskEndRatio(+여유 5%) 만큼
+export function maskRegionsFor(pdfDoc, { maskEndPage, maskEndRatio }) {
+    const pages = pdfDoc.getPages();
+    const endPageIdx = maskEndPage - 1;
+    const endRatio = Math.min(maskEndRatio + 0.05, 1.0);
+    const regions = [];
+    for (let i = 0; i < pages.length && i <= endPageIdx; i++) {
+        const { x, y, width, height } = pages[i].getMediaBox();
+        const maskHeight = i < endPageIdx ? height : height * endRatio;
+        regions.push({ pageIndex: i, rect: [x, y + height - maskHeight, x + width, y + height] });
+    }
+    return regions;
+}
+
+// 문서 맨 앞에 가명 요약 표지를 끼워 넣는다. 주문/청구취지가 길면 표지가 여러 장이 된다. 반환: 표지 장 수
+// meta 는 정책을 적용한 표지용 값(coverMetaFor)
+function drawCoverPages(pdfDoc, typesetter, meta, { pageSize, lawyerLabel }) {
+    const flow = createPageFlow(pdfDoc, typesetter, { pageSize, insertAt: 0 });
+
+    flow.text("[보안 처리된 문서 - 가명 처리]", { size: 14, bold: true, color: rgb(0, 0.5, 0) });
+    flow.gap(16);
+    flow.field("법원", meta.court || "정보없음");
+    flow.field("사건", meta.caseNo || "정보없음");
+    flow.field("당사자(가명)", meta.parties_anonymized || "정보없음");
+    flow.field(lawyerLabel, meta.lawyer_info || "정보없음");
+    flow.gap(10);
+    flow.text("[주 문 (가명 처리)]", { size: 12, bold: true, color: rgb(0, 0, 0) });
+    flow.gap(6);
+    flow.field("", meta.order_anonymized || "정보없음");
+    flow.gap(10);
+    flow.text("[청구 취지 (가명 처리)]", { size: 12, bold: true, color: rgb(0, 0, 0) });
+    flow.gap(6);
+    flow.field("", meta.claim_anonymized || "정보없음");
+    return flow.pages.length;
+}
+
+// 탐지 결과(개인정보, 당사자 이름) → 제거할 상자들. 글자 상자보다 1pt 넓게 잡는다.
+// 이름표: 개인정보는 유형 이름, 이름은 가명(삭제 대상이면 없음)
+const findingRegions = (findings) => findings.flatMap((finding) => finding.rects.map(([x0, y0, x1, y1], i) => ({
+    pageIndex: finding.pageIndex,
+    type: finding.type,
+    label: finding.label || null,
+    first: i === 0,
+    rect: [x0 - 1, y0 - 1, x1 + 1, y1 + 1],
+})));
+
+// 원문에서 마스킹 영역/개인정보를 제거하고 맨 앞에 가명 요약 표지를 붙인 PDF 를 만든다. pdfDoc 을 직접 고친다.
+// maskMode 'band'  : 머리 부분(maskEndPage/maskEndRatio)을 통째로 지우고 흰 띠로 덮는다.
+// maskMode 'entity': 당사자 이름(partyMentions)과 개인정보가 나온 자리만 지우고 가명을 적는다.
+// fonts: loadCoverFont() 결과 (번들 폰트 bytes)
+// sanitized: loadSanitizedPdf 에서 지운 숨은 내용. 숨은 OCR 텍스트는 마스킹이 끝난 뒤 여기서 지우고 함께 보고서에 남긴다.
+// policy: 표지에 적을 값(법원/날짜/금액 등)과 대리인 표기를 정한다 (lib/redaction-policies)
+// reportContext: { inputBytes, analysis, pseudonyms, appendPage } → 처리 보고서(redaction-report)를 함께 만든다.
+export async function renderRedactedPdf(pdfDoc, meta, { fonts, piiFindings, partyMentions = [], maskMode = DEFAULT_MASK_MODE, policy = defaultPolicy(), sanitized = [], reportContext }) {
+    const typesetter = await createTypesetter(pdfDoc, fonts);
+    const pages = pdfDoc.getPages();
+    const entityMode = maskMode === 'entity';
+    const maskRegions = entityMode ? [] : maskRegionsFor(pdfDoc, meta);
+
+    // 규칙 기반으로 찾은 개인정보는 마스킹 범위 밖에 있어도 해당 위치만 제거한다 (entity 모드는 당사자 이름도)
+    const entityRegions = findingRegions(entityMode ? [...piiFindings, ...partyMentions] : piiFindings);
+
+    // 원문 텍스트/이미지/벡터를 콘텐츠 스트림에서 실제로 제거한 뒤 흰 배경을 덮는다
+    const redactionStats = redactRegions(pdfDoc, [...maskRegions, ...entityRegions]);
+    console.log("✂️ 영역 제거 완료:", JSON.stringify(redactionStats));
+    // 스캔 이미지 뒤의 OCR 층: 위치를 찾는 데 다 썼으므로 정책이 keep 이 아니면 지운다 (가림 상자를 그리기 전에)
+    const hiddenContent = [...sanitized];
+    const hiddenRules = hiddenContentRules(policy);
+    if (hiddenRules.ocr_text === 'remove') {
+        const invisible = removeInvisibleText(pdfDoc);
+        if (invisible.count) hiddenContent.push({ type: 'ocr_text', action: 'remove', count: invisible.count, pages: invisible.pages });
+    }
+
+    for (const { pageIndex, rect } of maskRegions) {
+        const [x0, y0, x1, y1] = rect;
+        pages[pageIndex].drawRectangle({ x: x0, y: y0, width: x1 - x0, height: y1 - y0, color: rgb(1, 1, 1) });
+    }
+    for (const region of entityRegions) {
+        const label = entityMode && region.label ? typesetter.sanitize(region.label) : null;
+        drawEntityBox(pages[region.pageIndex], typesetter.fonts.regular, { rect: region.rect, first: region.first, label });
+    }
+
+    const coverMeta = coverMetaFor(meta, policy);
+    const coverPages = drawCoverPages(pdfDoc, typesetter, coverMeta, {
+        pageSize: [pages[0].getWidth(), pages[0].getHeight()],
+        lawyerLabel: actionOf(policy, 'lawyer') === 'keep' ? "대리인(실명)" : "대리인",
+    });
+
+    const report = createRedactionReport({
+        ...reportContext,
+        maskMode,
+        policy,
+        coverPages,
+        hiddenContent,
+        pageCount: pages.length,
+        maskRegions,
+        piiRegions: entityRegions,
+        redactionStats,
+    });
+    if (report.appendedPage) drawReportPage(pdfDoc, typesetter, report);
+    // 문서 속성은 비워 두었다. rewrite 정책이면 사건번호만 제목으로 적는다.
+    if (hiddenRules.metadata === 'rewrite' && coverMeta.caseNo) pdfDoc.setTitle(coverMeta.caseNo);
+
+    // 지운 객체와 마스킹 전 콘텐츠 스트림은 참조만 끊겼을 뿐 저장하면 그대로 남는다. 폰트까지 써 넣은 뒤 정리한다.
+    await pdfDoc.flush();
+    const unreferenced = pruneUnreachable(pdfDoc);
+    if (unreferenced) report.hiddenContent.push({ type: 'unreferenced', action: 'remove', count: unreferenced });
+
+    const pdfBytes = await pdfDoc.save();
+    setOutput(report, pdfBytes);
+    return { pdfBytes, redactionStats, maskRegions, report };
+}
+
+// 검토 단계 재생성용: 보관된 원본으로 처음부터 다시 만든다. parties 는 가명 등록부의 당사자 [{ name, role, pseudonym }]
+export async function rerenderFromOriginal(originalBytes, meta, reportContext, { maskMode = DEFAULT_MASK_MODE, policy = defaultPolicy(), parties = [] } = {}) {
+    const { pdfDoc, sanitized } = await loadSanitizedPdf(originalBytes, policy);
+    const { pageTexts, piiFindings } = detectDocumentPii(pdfDoc, policy);
+    const partyMentions = maskMode === 'entity' ? findPartyMentions(pageTexts, mentionTargets(policy, parties, meta)) : [];
+    const fonts = await loadCoverFont();
+    const rendered = await renderRedactedPdf(pdfDoc, meta, {
+        fonts, piiFindings, partyMentions, maskMode, policy, sanitized, reportContext: { ...reportContext, inputBytes: originalBytes },
+    });
+    return { ...rendered, piiFindings, pageTexts };
+}
+
+// ---- DOCX/HWPX ----
+
+const OFFICE_PAGE_SIZE = [595.28, 841.89]; // A4
+const REMOVED_NAME = '○○○';
+
+// 문단별 규칙 기반 개인정보 탐지. 결과마다 파일 부분(part)과 문단 번호를 붙인다.
+export function detectOfficePii(pkg, policy = defaultPolicy()) {
+    const texts = officeTexts(pkg);
+    const types = removedPiiTypes(policy);
+    const piiFindings = texts.flatMap(({ part, kind, paragraphIndex, text }) => detectPii(text, { types }).map((finding) => ({
+        ...finding, part, kind, paragraphIndex,
+    })));
+    return { texts, piiFindings };
+}
+
+// 사건번호/선고일을 찾을 앞부분 (PDF 의 앞 두 페이지에 해당하는 본문 앞 문단들)
+export const officeHeaderText = (texts, paragraphs = 60) => texts.filter((t) => t.kind === 'body').slice(0, paragraphs).map((t) => t.text).join('\n');
+
+// 당사자 이름(정책 대상)이 나온 문단 위치
+export function findOfficeMentions(texts, targets) {
+    return findNameMentions(texts, targets).map(({ source, ...mention }) => ({
+        ...mention, part: source.part, kind: source.kind, paragraphIndex: source.paragraphIndex,
+    }));
+}
+
+// 찾은 이름/개인정보 → 부분별·문단별로 바꿀 구간. 겹치면 먼저 시작한(같으면 긴) 것만 쓴다.
+// 이름은 가명(삭제 대상이면 ○○○), 개인정보는 [유형]으로 바꾼다. 반환: { edits, replacements }
+function officeEdits(findings) {
+    const edits = new Map();
+    const counts = new Map();
+    const sorted = [...findings].sort((a, b) => a.start - b.start || b.end - a.end);
+    for (const finding of sorted) {
+        if (!edits.has(finding.part)) edits.set(finding.part, []);
+        const byParagraph = edits.get(finding.part);
+        const list = (byParagraph[finding.paragraphIndex] ||= []);
+        if (list.some((edit) => finding.start < edit.end && edit.start < finding.end)) continue;
+        const named = finding.type === 'party_name' || finding.type === 'court';
+        list.push({ start: finding.start, end: finding.end, replacement: named ? finding.label || REMOVED_NAME : `[${finding.label || finding.type}]` });
+
+        const key = `${finding.part}\n${finding.type}`;
+        if (!counts.has(key)) counts.set(key, { part: finding.part, kind: finding.kind, type: finding.type, count: 0 });
+        counts.get(key).count++;
+    }
+    return { edits, replacements: [...counts.values()] };
+}
+
+// 이름/개인정보를 파일 XML 에서 바꾸고(같은 형식), 바꾼 글을 A4 PDF 로 옮겨 적는다. 앞에 가명 요약 표지를 붙인다.
+// 머리글/바닥글, 각주, 메모는 본문 뒤에 구분해서 적는다. 문서 속성과 작성자 이름, 미리보기는 정책(metadata)대로 정리한다.
+// 반환: { fileBytes, pdfBytes, report, texts (바꾼 뒤 문단) }
+export async function renderRedactedOffice(pkg, meta, { fonts, piiFindings, partyMentions = [], policy = defaultPolicy(), reportContext }) {
+    const { edits, replacements } = officeEdits([...piiFindings, ...partyMentions]);
+    const hiddenRules = hiddenContentRules(policy);
+    const coverMeta = coverMetaFor(meta, policy);
+    const title = hiddenRules.metadata === 'rewrite' && coverMeta.caseNo ? coverMeta.caseNo : '';
+    const rewritten = rewriteOfficePackage(pkg, edits, { title });
+    console.log(`✂️ 파일 안에서 바꾼 곳: ${replacements.reduce((sum, r) => sum + r.count, 0)}`);
+
+    const { properties, authors, previews } = rewritten.metadata;
+    const hiddenContent = [];
+    if (properties.length + authors + previews) {
+        hiddenContent.push({ type: 'metadata', action: hiddenRules.metadata, count: properties.length + authors + previews, kinds: { properties, authors, previews } });
+    }
+    const { fieldCodes, externalTargets } = rewritten.links;
+    if (fieldCodes + externalTargets) {
+        hiddenContent.push({ type: 'links', action: 'remove', count: fieldCodes + externalTargets, kinds: { fieldCodes, externalTargets } });
+    }
+
+    const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+    const typesetter = await createTypesetter(pdfDoc, fonts);
+    const flow = createPageFlow(pdfDoc, typesetter, { pageSize: OFFICE_PAGE_SIZE });
+    let kind = 'body';
+    for (const paragraph of rewritten.texts) {
+        if (paragraph.kind !== kind) {
+            kind = paragraph.kind;
+            flow.gap(12);
+            flow.text(`[${PART_KINDS[kind]}]`, { size: 11, bold: true, color: rgb(0, 0, 0) });
+            flow.gap(4);
+        }
+        if (paragraph.text.trim()) flow.text(paragraph.text.replace(/\t/g, '    '), { size: 10 });
+        else flow.gap(6);
+    }
+    const bodyPages = flow.pages.length;
+
+    const coverPages = drawCoverPages(pdfDoc, typesetter, coverMeta, {
+        pageSize: OFFICE_PAGE_SIZE,
+        lawyerLabel: actionOf(policy, 'lawyer') === 'keep' ? "대리인(실명)" : "대리인",
+    });
+
+    const report = createRedactionReport({
+        ...reportContext,
+        format: pkg.format,
+        maskMode: 'entity',
+        policy,
+        coverPages,
+        hiddenContent,
+        replacements,
+        pageCount: bodyPages,
+        maskRegions: [],
+        piiRegions: [],
+        redactionStats: [],
+    });
+    if (report.appendedPage) drawReportPage(pdfDoc, typesetter, report);
+    if (title) pdfDoc.setTitle(title);
+
+    const pdfBytes = await pdfDoc.save();
+    setOutput(report, pdfBytes);
+    setSourceOutput(report, rewritten.bytes);
+    return { fileBytes: rewritten.bytes, pdfBytes, report, texts: rewritten.texts };
+}
+
+// 검토 단계 재생성용 (DOCX/HWPX). parties 는 가명 등록부의 당사자
+export async function rerenderOfficeFromOriginal(originalBytes, meta, reportContext, { policy = defaultPolicy(), parties = [] } = {}) {
+    const pkg = loadOfficePackage(originalBytes);
+    const { texts, piiFindings } = detectOfficePii(pkg, policy);
+    const partyMentions = findOfficeMentions(texts, mentionTargets(policy, parties, meta));
+    const fonts = await loadCoverFont();
+    const rendered = await renderRedactedOffice(pkg, meta, {
+        fonts, piiFindings, partyMentions, policy, reportContext: { ...reportContext, inputBytes: originalBytes },
+    });
+    return { ...rendered, piiFindings, sourceTexts: texts };
+}
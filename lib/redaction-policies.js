@@ -0,0 +1,167 @@
+// /lib/redaction-policies.js
+// 비식별화 정책 프로필: 개체 유형마다 그대로 둘지(keep), 가명으로 바꿀지(pseudonymize), 지울지(remove) 정한다.
+// 숨은 내용(문서 속성, 주석, 첨부 파일, 양식 등 lib/pdf/sanitize)을 어떻게 처리할지도 같은 rules 에 둔다.
+// 기본 프로필은 코드에 있고, redaction_policies 테이블에 같은 이름으로 넣으면 그 규칙을 쓴다(새 이름도 추가 가능).
+// 처리에 쓴 프로필은 document_queue.policy 와 처리 보고서(redaction_report.policy)에 남고, 재생성할 때도 그 규칙을 쓴다.
+import { PII_LABELS, detectPii } from './pii-detector.js';
+
+export const POLICIES_TABLE = 'redaction_policies';
+export const DEFAULT_POLICY = 'default';
+
+const NAMED = ['keep', 'pseudonymize', 'remove'];
+const VALUE = ['keep', 'remove'];
+
+// 개체 유형: 이름 계열은 가명으로 바꿀 수 있고, 날짜/금액/개인정보는 두거나 지우기만 한다
+export const ENTITY_CLASSES = {
+    party_person: { label: '당사자(개인)', actions: NAMED },
+    party_company: { label: '당사자(법인)', actions: NAMED },
+    lawyer: { label: '변호사', actions: NAMED },
+    law_firm: { label: '법무법인', actions: NAMED },
+    court: { label: '법원', actions: VALUE },
+    date: { label: '날짜', actions: VALUE },
+    amount: { label: '금액', actions: VALUE },
+    ...Object.fromEntries(Object.entries(PII_LABELS)
+        .filter(([type]) => type !== 'date' && type !== 'amount')
+        .map(([type, label]) => [type, { label, actions: VALUE }])),
+};
+
+// 숨은 내용: 대부분 지우기만 한다. 문서 속성은 지우거나 사건번호 제목만 새로 쓰고(rewrite),
+// 양식은 보이는 값을 페이지에 그린 뒤 지우거나(flatten) 그냥 지운다. 주석은 문서 안 링크만 남길 수 있다.
+export const HIDDEN_CONTENT = {
+    metadata: { label: '문서 속성(Info/XMP)', actions: ['remove', 'rewrite'] },
+    annotations: { label: '주석/메모', actions: ['remove', 'keep_links'] },
+    attachments: { label: '첨부 파일', actions: ['remove'] },
+    forms: { label: '양식 필드', actions: ['flatten', 'remove'] },
+    bookmarks: { label: '책갈피', actions: ['remove'] },
+    javascript: { label: '자바스크립트/자동 동작', actions: ['remove'] },
+    tags: { label: '태그 구조(대체 텍스트)', actions: ['remove'] },
+    ocr_text: { label: '숨은 텍스트(OCR)', actions: ['remove', 'keep'] },
+};
+
+const DEFAULT_HIDDEN_RULES = {
+    metadata: 'remove',
+    annotations: 'remove',
+    attachments: 'remove',
+    forms: 'flatten',
+    bookmarks: 'remove',
+    javascript: 'remove',
+    tags: 'remove',
+    ocr_text: 'remove',
+};
+
+const DEFAULT_RULES = {
+    party_person: 'pseudonymize',
+    party_company: 'pseudonymize',
+    lawyer: 'keep',
+    law_firm: 'keep',
+    court: 'keep',
+    date: 'keep',
+    amount: 'keep',
+    rrn: 'remove',
+    foreigner_rrn: 'remove',
+    business_no: 'remove',
+    email: 'remove',
+    phone: 'remove',
+    vehicle_plate: 'remove',
+    bank_account: 'remove',
+    address: 'remove',
+    ...DEFAULT_HIDDEN_RULES,
+};
+
+export const BUILTIN_POLICIES = {
+    default: { description: '기본: 당사자만 가명, 대리인/날짜/금액/법원은 그대로', rules: DEFAULT_RULES },
+    publication: { description: '판례 공개용: 변호사 개인 이름도 가명, 문서 제목은 사건번호', rules: { ...DEFAULT_RULES, lawyer: 'pseudonymize', metadata: 'rewrite' } },
+    research: { description: '내부 연구용: 법인 당사자 이름은 그대로, 검색용 OCR 텍스트 유지', rules: { ...DEFAULT_RULES, party_company: 'keep', ocr_text: 'keep' } },
+};
+
+export class PolicyError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'PolicyError';
+        this.status = status;
+    }
+}
+
+// 빠진 유형은 기본 규칙으로 채운다. 알 수 없는 유형/동작은 오류.
+export function normalizeRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) throw new PolicyError(400, "정책 규칙이 객체가 아닙니다.");
+    const normalized = { ...DEFAULT_RULES };
+    for (const [type, action] of Object.entries(rules)) {
+        const entity = ENTITY_CLASSES[type] || HIDDEN_CONTENT[type];
+        if (!entity) throw new PolicyError(400, `알 수 없는 개체 유형입니다: ${type}`);
+        if (!entity.actions.includes(action)) throw new PolicyError(400, `${type}: '${action}' 는 쓸 수 없습니다 (${entity.actions.join(', ')})`);
+        normalized[type] = action;
+    }
+    return normalized;
+}
+
+// 테이블에 있는 프로필 + 기본 프로필 (이름이 같으면 테이블 쪽)
+export async function listPolicies(supabase) {
+    const { data, error } = await supabase.from(POLICIES_TABLE).select('name, description, rules');
+    if (error) throw error;
+    const policies = new Map(Object.entries(BUILTIN_POLICIES).map(([name, p]) => [name, { name, description: p.description, rules: p.rules }]));
+    for (const row of data || []) {
+        policies.set(row.name, { name: row.name, description: row.description || '', rules: normalizeRules(row.rules) });
+    }
+    return [...policies.values()];
+}
+
+// 반환: { name, rules }
+export async function loadPolicy(supabase, name) {
+    const policyName = name || DEFAULT_POLICY;
+    if (typeof policyName !== 'string') throw new PolicyError(400, "정책 이름이 올바르지 않습니다.");
+
+    const { data, error } = await supabase.from(POLICIES_TABLE).select('name, rules').eq('name', policyName).maybeSingle();
+    if (error) throw error;
+    if (data) return { name: data.name, rules: normalizeRules(data.rules) };
+    if (BUILTIN_POLICIES[policyName]) return { name: policyName, rules: BUILTIN_POLICIES[policyName].rules };
+    throw new PolicyError(400, `알 수 없는 정책입니다: ${policyName}`);
+}
+
+export const defaultPolicy = () => ({ name: DEFAULT_POLICY, rules: DEFAULT_RULES });
+
+// 보고서에 남긴 규칙(이전 버전 보고서에는 없음) → { name, rules }
+export const policyFromReport = (report) => report?.policy?.rules
+    ? { name: report.policy.name, rules: normalizeRules(report.policy.rules) }
+    : defaultPolicy();
+
+const COMPANY_RE = /주식회사|\(주\)|㈜|유한회사|\(유\)|합자회사|합명회사|재단법인|사단법인|조합|공사$|공단$|Co\.|Corp|Inc\.|Ltd/i;
+
+// 당사자 항목의 개체 유형. 분석 결과의 kind 가 없으면(가명 등록부 항목 등) 역할과 이름으로 추정한다.
+export function partyClassOf(party) {
+    const kind = party.kind;
+    if (kind === 'lawyer' || kind === 'law_firm') return kind;
+    if (kind === 'company') return 'party_company';
+    if (kind === 'person') return 'party_person';
+    if (/법무법인|법무조합|법률사무소/.test(`${party.role || ''} ${party.name || ''}`)) return 'law_firm';
+    if (/변호사|대리인/.test(party.role || '')) return 'lawyer';
+    return COMPANY_RE.test(party.name || '') ? 'party_company' : 'party_person';
+}
+
+export const actionOf = (policy, type) => policy.rules[type] || 'keep';
+
+// 이 정책에서 결과물에 남으면 안 되는 당사자/대리인 (가명 또는 삭제 대상)
+export const hiddenParties = (policy, parties) => parties.filter((p) => p && p.name && actionOf(policy, partyClassOf(p)) !== 'keep');
+
+// 숨은 내용 규칙만 (lib/pdf/sanitize 에 넘긴다). 빠진 항목은 지우는 쪽(기본 규칙)으로 채운다.
+export const hiddenContentRules = (policy) => Object.fromEntries(Object.keys(HIDDEN_CONTENT).map((type) => [type, policy.rules[type] || DEFAULT_HIDDEN_RULES[type]]));
+
+// 규칙 기반 탐지에서 지울 개인정보 유형 (날짜/금액 포함)
+export const removedPiiTypes = (policy) => Object.keys(PII_LABELS).filter((type) => actionOf(policy, type) === 'remove');
+
+const COVER_TEXT_FIELDS = ['parties_anonymized', 'lawyer_info', 'order_anonymized', 'claim_anonymized'];
+
+// 표지에 적을 메타데이터: 지우기로 한 값(법원, 날짜, 금액, 개인정보)은 "○○○" 로 바꾼다. meta 는 고치지 않는다.
+export function coverMetaFor(meta, policy) {
+    const types = removedPiiTypes(policy);
+    const scrub = (text) => detectPii(text, { types })
+        .reverse()
+        .reduce((out, { start, end }) => out.slice(0, start) + '○○○' + out.slice(end), text);
+
+    const cover = { ...meta };
+    for (const field of COVER_TEXT_FIELDS) {
+        if (typeof cover[field] === 'string') cover[field] = scrub(cover[field]);
+    }
+    if (actionOf(policy, 'court') === 'remove') cover.court = '비공개';
+    return cover;
+}
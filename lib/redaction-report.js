@@ -0,0 +1,153 @@
+// /lib/redaction-report.js
+// 문서별 비식별화 처리 보고서 (document_queue.redaction_report).
+// 무엇을, 왜 지웠는지를 남기되 원문 값(실명, 번호 등)은 넣지 않는다. 유형, 위치, 건수, 해시만 기록한다.
+import crypto from 'node:crypto';
+import { rgb } from 'pdf-lib';
+import { PII_LABELS } from './pii-detector.js';
+import { HIDDEN_CONTENT } from './redaction-policies.js';
+import { createPageFlow } from './pdf/typesetter.js';
+import { PART_KINDS } from './office/index.js';
+
+export const REPORT_VERSION = 1;
+
+// 정책 항목이 아닌 DOCX 숨은 내용 (lib/office stripLinks, 항상 지운다)
+const OFFICE_HIDDEN_LABELS = { links: '필드 코드/외부 링크 주소' };
+
+export const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex');
+
+const round = (rect) => rect.map((v) => Math.round(v * 100) / 100);
+
+// 페이지별 마스킹 범위: 머리 부분 띠(header_band)와 개별 개인정보 상자(entity)
+function maskRangesByPage(pageCount, maskRegions, piiRegions) {
+    const pages = Array.from({ length: pageCount }, (_, pageIndex) => ({ pageIndex, headerBand: null, entities: [] }));
+    for (const { pageIndex, rect } of maskRegions) pages[pageIndex].headerBand = round(rect);
+    // 당사자 이름 상자에는 가명을 붙여 둔다 (실명은 남기지 않음)
+    for (const { pageIndex, rect, type, label } of piiRegions) {
+        pages[pageIndex].entities.push(type === 'party_name' ? { type, label, rect: round(rect) } : { type, rect: round(rect) });
+    }
+    return pages.filter((page) => page.headerBand || page.entities.length);
+}
+
+// 출력 해시와 검증 결과는 PDF 저장/검증 후에 채운다 (setOutput, setVerification)
+// 결과 PDF 맨 앞에는 요약 표지가 coverPages 장 붙어 있다. masks 의 pageIndex 는 원본 기준이다.
+// (이전 보고서는 coverPage: true/false — entity 모드에서만 표지 한 장)
+// policy: 처리에 쓴 정책 { name, rules } (재생성 때 같은 규칙을 쓴다)
+// hiddenContent: 지운 숨은 내용 [{ type, action, count, kinds?, pages? }] (lib/pdf/sanitize, 값은 없음)
+//   type 'unreferenced' 는 저장 직전에 지운 참조 없는 객체 수 (처리 내역 페이지를 그린 뒤라 JSON 에만 있다)
+// format: 입력 형식 (pdf | docx | hwpx). DOCX/HWPX 는 masks 대신 replacements [{ part, kind, type, count }] 에
+// 파일 XML 에서 바꾼 곳을 남기고, pageCount/masks 는 본문을 옮겨 적은 PDF 기준이다.
+export function createRedactionReport({ inputBytes, analysis, pseudonyms = [], maskMode = 'band', policy = null, format = 'pdf', coverPages = 0, hiddenContent = [], replacements = [], pageCount, maskRegions, piiRegions, redactionStats, appendPage = false }) {
+    // 건수는 나온 횟수 기준 (여러 줄에 걸친 한 건은 상자가 여러 개)
+    const entities = {};
+    for (const { type, first } of piiRegions) {
+        if (first !== false) entities[type] = (entities[type] || 0) + 1;
+    }
+    for (const { type, count } of replacements) entities[type] = (entities[type] || 0) + count;
+    if (!entities.party_name && pseudonyms.length) entities.party_name = pseudonyms.length;
+
+    return {
+        version: REPORT_VERSION,
+        generatedAt: new Date().toISOString(),
+        format,
+        maskMode,
+        coverPages,
+        policy: policy ? { name: policy.name, rules: policy.rules } : null,
+        input: { sha256: sha256(inputBytes), bytes: inputBytes.length, pages: pageCount },
+        output: null,
+        analysis: {
+            provider: analysis?.provider || null,
+            model: analysis?.model || null,
+            attempts: analysis?.attempts?.length || 0,
+            // 모든 시도가 실패해 규칙 기반 탐지만 한 경우 (failures: 실패한 시도와 이유)
+            failed: analysis?.failed === true,
+            failures: (analysis?.attempts || []).filter((a) => !a.ok).map(({ provider, model, attempt, reason }) => ({ provider, model, attempt, reason })),
+        },
+        masks: maskRangesByPage(pageCount, maskRegions, piiRegions),
+        entities,
+        pseudonyms: pseudonyms.map(({ role, pseudonym, mappingId }) => ({ role: role || null, pseudonym, mappingId: mappingId || null })),
+        removed: redactionStats.map(({ pageIndex, glyphs, paths, images, imagesRewritten, inlineImages, forms }) => ({
+            pageIndex, glyphs, paths, images, imagesRewritten, inlineImages, forms,
+        })),
+        hiddenContent,
+        replacements,
+        sourceOutput: null,
+        verification: null,
+        appendedPage: appendPage,
+    };
+}
+
+export function setOutput(report, outputBytes) {
+    report.output = { sha256: sha256(outputBytes), bytes: outputBytes.length };
+    return report;
+}
+
+// DOCX/HWPX: 같은 형식으로 만든 결과 파일 (output 은 함께 만든 PDF)
+export function setSourceOutput(report, fileBytes) {
+    report.sourceOutput = { format: report.format, sha256: sha256(fileBytes), bytes: fileBytes.length };
+    return report;
+}
+
+export function setVerification(report, verification) {
+    report.verification = { clean: verification.clean, checked: verification.checked, findings: verification.findings.length };
+    return report;
+}
+
+// 사람이 읽는 "처리 내역" 페이지를 문서 끝에 붙인다 (길면 여러 장). 출력 해시는 페이지를 붙인 뒤에야 정해지므로 JSON 보고서에만 있다.
+export function drawReportPage(pdfDoc, typesetter, report) {
+    const [first] = pdfDoc.getPages();
+    const flow = createPageFlow(pdfDoc, typesetter, { pageSize: [first.getWidth(), first.getHeight()] });
+    const line = (text, options) => flow.text(text, { size: 9, ...options });
+    const heading = (text) => {
+        flow.gap(6);
+        line(text, { bold: true, color: rgb(0, 0, 0) });
+    };
+
+    flow.text("[처리 내역]", { size: 14, bold: true, color: rgb(0, 0, 0) });
+    flow.gap(8);
+    line(`처리 일시: ${report.generatedAt}`);
+    line(`원본 SHA-256: ${report.input.sha256}`);
+    line(`정책: ${report.policy?.name || '-'}`);
+    if (report.format && report.format !== 'pdf') line(`원본 형식: ${report.format.toUpperCase()} (파일 안의 글을 직접 바꾸고, 이 PDF 는 바꾼 글을 옮겨 적은 것)`);
+    line(`마스킹 방식: ${report.maskMode === 'entity' ? '개체 단위 (이름/개인정보 위치만)' : '머리 부분 일괄'}`);
+    line(`분석: ${report.analysis.failed
+        ? `${report.analysis.provider} 실패 (${report.analysis.attempts}회 시도), 규칙 기반만 수행`
+        : report.analysis.provider ? `${report.analysis.provider} / ${report.analysis.model}` : '규칙 기반만 수행'}`);
+
+    heading("탐지 유형 (건수)");
+    const entityTypes = Object.entries(report.entities);
+    if (!entityTypes.length) line("없음", { indent: 10 });
+    const typeLabel = (type) => (type === 'party_name' ? '당사자 이름' : type === 'court' ? '법원' : PII_LABELS[type] || type);
+    for (const [type, count] of entityTypes) line(`${typeLabel(type)}: ${count}`, { indent: 10 });
+
+    heading("가명");
+    if (!report.pseudonyms.length) line("없음", { indent: 10 });
+    for (const { role, pseudonym, mappingId } of report.pseudonyms) {
+        line(`${pseudonym}${role ? ` (${role})` : ''}${mappingId ? ` · ${mappingId.slice(0, 12)}` : ''}`, { indent: 10 });
+    }
+
+    heading("숨은 내용 제거");
+    const hidden = report.hiddenContent || [];
+    if (!hidden.length) line("없음", { indent: 10 });
+    for (const { type, action, count, flattened } of hidden) {
+        const how = action === 'flatten' ? ` (보이는 값 ${flattened || 0}개는 페이지에 남김)` : action === 'rewrite' ? ' (제목만 사건번호로)' : '';
+        line(`${HIDDEN_CONTENT[type]?.label || OFFICE_HIDDEN_LABELS[type] || type}: ${count}${how}`, { indent: 10 });
+    }
+
+    // DOCX/HWPX 는 페이지 위치 대신 파일 부분(본문, 머리글, 메모 등)별로 바꾼 곳을 적는다
+    if (report.format && report.format !== 'pdf') {
+        heading("파일 안에서 바꾼 곳");
+        if (!report.replacements.length) line("없음", { indent: 10 });
+        const byKind = {};
+        for (const { kind, count } of report.replacements) byKind[kind] = (byKind[kind] || 0) + count;
+        for (const [kind, count] of Object.entries(byKind)) line(`${PART_KINDS[kind] || kind}: ${count}곳`, { indent: 10 });
+        return;
+    }
+
+    heading("페이지별 제거 범위");
+    for (const { pageIndex, headerBand, entities } of report.masks) {
+        const parts = [];
+        if (headerBand) parts.push(`머리 부분 y ${headerBand[1]}~${headerBand[3]}`);
+        if (entities.length) parts.push(`개별 제거 ${entities.length}곳`);
+        line(`원본 ${pageIndex + 1}페이지: ${parts.join(', ')}`, { indent: 10 });
+    }
+}
@@ -0,0 +1,121 @@
+// /lib/review-workflow.js
+// document_queue 검토 흐름: pending → in_review → approved / rejected
+// 버킷은 모두 비공개이고, 파일은 짧게 만료되는 서명 URL 로만 내려준다.
+// 모든 상태 변경과 수정은 document_events 에 누가, 언제, 무엇을 했는지 남긴다.
+
+import { authenticate, AuthError, sendAuthError } from './auth.js';
+
+export const QUEUE_TABLE = 'document_queue';
+export const EVENTS_TABLE = 'document_events';
+export const ORIGINALS_BUCKET = 'legal-originals';
+export const REVIEW_BUCKET = 'legal-review';
+export const PUBLISHED_BUCKET = 'legal-docs';
+
+// 저장 이름: PDF 는 그대로, DOCX/HWPX 는 원본 형식 결과 파일(source)과 함께 만든 PDF(.pdf) 이름을 따로 둔다
+export function storedNames(name, format = 'pdf') {
+    if (format === 'pdf') return { pdf: name, source: null };
+    const stem = name.replace(/\.(docx|hwpx)$/i, '');
+    return { pdf: `${stem}.pdf`, source: `${stem}.${format}` };
+}
+
+// 검토(상태 변경, 수정, 재생성)를 할 수 있는 조직 내 권한
+export const REVIEW_ROLES = ['admin', 'member'];
+
+// action → { from, to }
+export const TRANSITIONS = {
+    review: { from: 'pending', to: 'in_review' },
+    approve: { from: 'in_review', to: 'approved' },
+    reject: { from: 'in_review', to: 'rejected' },
+};
+
+// 검토자가 고칠 수 있는 필드 (실명 목록 parties 는 저장하지 않으므로 대상이 아니다)
+export const EDITABLE_FIELDS = ['court', 'caseNo', 'parties_anonymized', 'lawyer_info', 'order_anonymized', 'claim_anonymized', 'maskEndPage', 'maskEndRatio'];
+
+export class ReviewError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ReviewError';
+        this.status = status;
+    }
+}
+
+// 검토자는 로그인한 사용자(세션 또는 API 키, lib/auth)다. 이력의 actor 는 확인된 사용자 ID 이고,
+// 클라이언트가 보내는 이름은 쓰지 않는다. viewer 는 상태를 바꾸거나 수정할 수 없다.
+export async function authenticateReviewer(supabase, req) {
+    const principal = await authenticate(supabase, req);
+    if (!REVIEW_ROLES.includes(principal.role)) throw new AuthError(403, `'${principal.role}' 권한으로는 문서를 검토할 수 없습니다.`);
+    return principal;
+}
+
+// 원본(비식별화 전) 미리보기처럼 검토자에게만 주는 것: 문서를 올린 조직의 검토 권한이 있는 사용자
+export const canReview = (principal, doc) => !!principal && !!doc.organization_id
+    && principal.organizationId === doc.organization_id && REVIEW_ROLES.includes(principal.role);
+
+// organizationId: 검토 API 는 로그인한 사용자의 조직 문서만 찾는다 (다른 조직 문서는 없는 것처럼 404).
+// 조직 없이 부르는 곳은 승인된 문서를 게시용 토큰으로 받는 download 뿐이다.
+export async function getDocument(supabase, id, { organizationId } = {}) {
+    let query = supabase.from(QUEUE_TABLE).select('*').eq('id', id);
+    if (organizationId !== undefined) query = query.eq('organization_id', organizationId);
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    if (!data) throw new ReviewError(404, "문서를 찾을 수 없습니다.");
+    return data;
+}
+
+export async function recordEvent(supabase, { documentId, action, fromStatus, toStatus, actor, details = {} }) {
+    const { error } = await supabase.from(EVENTS_TABLE).insert({
+        document_id: documentId,
+        action,
+        from_status: fromStatus,
+        to_status: toStatus,
+        actor,
+        details,
+    });
+    if (error) throw error;
+}
+
+// 현재 상태가 기대한 값일 때만 갱신한다 (동시에 두 명이 승인/반려하는 경우 한 명만 성공)
+export async function updateDocument(supabase, doc, expectedStatus, changes, actor) {
+    const { data, error } = await supabase.from(QUEUE_TABLE)
+        .update({ ...changes, updated_by: actor, updated_at: new Date().toISOString() })
+        .eq('id', doc.id)
+        .eq('status', expectedStatus)
+        .select('*')
+        .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new ReviewError(409, "다른 검토자가 먼저 문서를 변경했습니다. 새로고침 후 다시 시도하세요.");
+    return data;
+}
+
+export function assertTransition(doc, action) {
+    const transition = TRANSITIONS[action];
+    if (!transition) throw new ReviewError(400, `알 수 없는 작업: ${action}`);
+    if (doc.status !== transition.from) {
+        throw new ReviewError(409, `'${doc.status}' 상태의 문서는 ${action} 할 수 없습니다 ('${transition.from}' 상태여야 합니다).`);
+    }
+    return transition;
+}
+
+// 수정 요청 본문 검증. 반환: 바뀐 필드만 담은 객체
+export function pickEdits(current, body) {
+    const edits = {};
+    for (const [key, value] of Object.entries(body || {})) {
+        if (!EDITABLE_FIELDS.includes(key)) throw new ReviewError(400, `수정할 수 없는 필드: ${key}`);
+        if (key === 'maskEndPage') {
+            if (!Number.isInteger(value) || value < 1) throw new ReviewError(400, "maskEndPage는 1 이상의 정수여야 합니다.");
+        } else if (key === 'maskEndRatio') {
+            if (typeof value !== 'number' || !(value >= 0 && value <= 1)) throw new ReviewError(400, "maskEndRatio는 0~1 사이 숫자여야 합니다.");
+        } else if (typeof value !== 'string') {
+            throw new ReviewError(400, `${key}는 문자열이어야 합니다.`);
+        }
+        if (current[key] !== value) edits[key] = value;
+    }
+    return edits;
+}
+
+export function sendError(res, error) {
+    if (error instanceof ReviewError) return res.status(error.status).json({ error: error.message });
+    if (error instanceof AuthError) return sendAuthError(res, error);
+    console.error("Server Error:", error);
+    return res.status(500).json({ error: error.message });
+}
@@ -0,0 +1,77 @@
+// /lib/staging-upload.js
+// 대용량 업로드: 브라우저가 서명된 업로드 URL 로 비공개 스테이징 버킷에 판결문 파일(PDF, DOCX, HWPX)을 조각(part)으로 직접 올리고,
+// 처리 API 에는 업로드 ID 만 넘긴다. 조각 단위로 다시 올릴 수 있어 중간에 끊겨도 처음부터 보내지 않아도 된다.
+//   legal-staging/<uploadId>/manifest.json   서버가 만든 목록 (파일명, 크기, 조각 수, 올린 사용자)
+//   legal-staging/<uploadId>/part-0000 ...   브라우저가 올린 조각
+import crypto from 'node:crypto';
+
+export const STAGING_BUCKET = 'legal-staging';
+export const CHUNK_SIZE = 5 * 1024 * 1024;
+export const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+
+const UPLOAD_ID_RE = /^\d{13}_[0-9a-f]{16}$/;
+const partPath = (uploadId, index) => `${uploadId}/part-${String(index).padStart(4, '0')}`;
+const manifestPath = (uploadId) => `${uploadId}/manifest.json`;
+
+export class StagingError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'StagingError';
+        this.status = status;
+    }
+}
+
+// 반환: { uploadId, chunkSize, parts: [{ index, signedUrl }] }. uploader: 요청한 사용자 (lib/auth uploaderOf)
+export async function createStagingUpload(supabase, { fileName, size }, uploader = null) {
+    if (typeof fileName !== 'string' || !/\.(pdf|docx|hwpx)$/i.test(fileName)) throw new StagingError(400, "PDF, DOCX, HWPX 파일만 업로드할 수 있습니다.");
+    if (!Number.isInteger(size) || size <= 0) throw new StagingError(400, "파일 크기가 올바르지 않습니다.");
+    if (size > MAX_UPLOAD_SIZE) throw new StagingError(413, `파일이 너무 큽니다 (최대 ${MAX_UPLOAD_SIZE / 1024 / 1024}MB).`);
+
+    const uploadId = `${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+    const partCount = Math.ceil(size / CHUNK_SIZE);
+    const bucket = supabase.storage.from(STAGING_BUCKET);
+
+    const manifest = JSON.stringify({ fileName, size, partCount, chunkSize: CHUNK_SIZE, uploadedBy: uploader?.userId ?? null });
+    const { error: manifestError } = await bucket.upload(manifestPath(uploadId), manifest, { contentType: 'application/json', upsert: false });
+    if (manifestError) throw manifestError;
+
+    const parts = [];
+    for (let index = 0; index < partCount; index++) {
+        // 같은 조각을 다시 올릴 수 있도록 덮어쓰기를 허용한다 (조각 경로는 이 업로드 전용)
+        const { data, error } = await bucket.createSignedUploadUrl(partPath(uploadId, index), { upsert: true });
+        if (error) throw error;
+        parts.push({ index, signedUrl: data.signedUrl });
+    }
+    return { uploadId, chunkSize: CHUNK_SIZE, parts };
+}
+
+// 조각을 순서대로 내려받아 이어 붙인다. 반환: { fileName, bytes }
+// 올린 사용자가 기록된 업로드는 그 사용자만 처리할 수 있다
+export async function readStagingUpload(supabase, uploadId, uploader = null) {
+    if (typeof uploadId !== 'string' || !UPLOAD_ID_RE.test(uploadId)) throw new StagingError(400, "업로드 ID가 올바르지 않습니다.");
+    const bucket = supabase.storage.from(STAGING_BUCKET);
+
+    const { data: manifestBlob, error: manifestError } = await bucket.download(manifestPath(uploadId));
+    if (manifestError) throw new StagingError(404, "업로드를 찾을 수 없습니다 (만료되었거나 이미 처리됨).");
+    const manifest = JSON.parse(await manifestBlob.text());
+    if (manifest.uploadedBy && manifest.uploadedBy !== uploader?.userId) throw new StagingError(403, "다른 사용자가 올린 파일입니다.");
+
+    const chunks = [];
+    for (let index = 0; index < manifest.partCount; index++) {
+        const { data, error } = await bucket.download(partPath(uploadId, index));
+        if (error) throw new StagingError(409, `업로드가 끝나지 않았습니다 (${index + 1}/${manifest.partCount}번째 조각 없음).`);
+        chunks.push(Buffer.from(await data.arrayBuffer()));
+    }
+    const bytes = Buffer.concat(chunks);
+    if (bytes.length !== manifest.size) throw new StagingError(409, `업로드 크기가 다릅니다 (${bytes.length} / ${manifest.size} bytes).`);
+    return { fileName: manifest.fileName, bytes };
+}
+
+export async function removeStagingUpload(supabase, uploadId) {
+    if (typeof uploadId !== 'string' || !UPLOAD_ID_RE.test(uploadId)) return;
+    const bucket = supabase.storage.from(STAGING_BUCKET);
+    const { data, error } = await bucket.list(uploadId);
+    if (error) return console.warn("⚠️ 스테이징 목록 조회 실패:", error.message);
+    const { error: removeError } = await bucket.remove((data || []).map((object) => `${uploadId}/${object.name}`));
+    if (removeError) console.warn("⚠️ 스테이징 삭제 실패:", removeError.message);
+}
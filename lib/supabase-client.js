@@ -0,0 +1,8 @@
+// /lib/supabase-client.js
+import { createClient } from '@supabase/supabase-js';
+
+export function createServerClient() {
+    const supabaseUrl = process.env.SUPABASE_URL ? process.env.SUPABASE_URL.trim() : "";
+    const supabaseKey = process.env.SUPABASE_KEY ? process.env.SUPABASE_KEY.trim() : "";
+    return createClient(supabaseUrl, supabaseKey);
+}
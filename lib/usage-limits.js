@@ -0,0 +1,125 @@
+// /lib/usage-limits.js
+// 업로드 API 사용 한도 (사용자별, 조직별). 넘으면 429 와 Retry-After 를 돌려준다.
+// - 분당 요청 수: rate_limit_counters 의 1분 고정 창 (hit_rate_limit 함수가 원자적으로 센다, 마이그레이션 0012)
+// - 하루 문서 수: daily_document_counters 의 한국 시간 날짜별 카운터 (claim_daily_document 함수가 확인과 증가를 함께 한다, 마이그레이션 0013)
+//   새 문서를 처리하기 직전(중복 확인 뒤)에 하나 쓰고, 문서를 남기지 못한 오류로 끝나면 돌려준다. 중복 응답은 세지 않는다.
+// 기본값은 환경 변수, 조직(organizations)과 구성원(organization_members)에 값이 있으면 그것을 쓴다.
+import { AuthError } from './auth.js';
+
+const COUNTERS_TABLE = 'daily_document_counters';
+
+export const RATE_LIMIT_WINDOW_SECONDS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const envNumber = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+export function limitsOf(principal) {
+    const { limits = {} } = principal;
+    return {
+        userPerMinute: limits.userPerMinute ?? envNumber('UPLOAD_RATE_LIMIT_PER_USER', 30),
+        organizationPerMinute: limits.organizationPerMinute ?? envNumber('UPLOAD_RATE_LIMIT_PER_ORG', 120),
+        userDaily: limits.userDaily ?? envNumber('DAILY_DOCUMENT_QUOTA_PER_USER', 200),
+        organizationDaily: limits.organizationDaily ?? envNumber('DAILY_DOCUMENT_QUOTA_PER_ORG', 1000),
+    };
+}
+
+// 오늘 한국 시간 0시와 다음 0시 (UTC)
+function kstDay(now = Date.now()) {
+    const start = Math.floor((now + KST_OFFSET_MS) / DAY_MS) * DAY_MS - KST_OFFSET_MS;
+    return { start: new Date(start), end: new Date(start + DAY_MS) };
+}
+
+async function hit(supabase, bucket, limit) {
+    const { data, error } = await supabase
+        .rpc('hit_rate_limit', { p_bucket: bucket, p_window_seconds: RATE_LIMIT_WINDOW_SECONDS, p_limit: limit })
+        .single();
+    if (error) throw error;
+    return data;
+}
+
+// 요청마다 사용자와 조직의 분당 한도를 하나씩 쓴다
+export async function enforceRateLimit(supabase, principal) {
+    const limits = limitsOf(principal);
+    const checks = [
+        [`user:${principal.userId}`, limits.userPerMinute, '사용자'],
+        [`org:${principal.organizationId}`, limits.organizationPerMinute, '조직'],
+    ];
+    for (const [bucket, limit, scope] of checks) {
+        const { allowed, retry_after: retryAfter } = await hit(supabase, bucket, limit);
+        if (!allowed) {
+            throw new AuthError(429, `요청이 너무 많습니다 (${scope} 분당 ${limit}건). ${retryAfter}초 후 다시 시도하세요.`, { retryAfter });
+        }
+    }
+}
+
+const bucketsOf = (principal) => ({ user: `user:${principal.userId}`, organization: `org:${principal.organizationId}` });
+
+// 한국 시간 날짜 (YYYY-MM-DD, 카운터의 day)
+const kstDate = (start) => new Date(start.getTime() + KST_OFFSET_MS).toISOString().slice(0, 10);
+
+// 반환: { user, organization, limits, resetsAt } (오늘 쓴 문서 수)
+export async function dailyUsage(supabase, principal) {
+    const { start, end } = kstDay();
+    const buckets = bucketsOf(principal);
+    const { data, error } = await supabase.from(COUNTERS_TABLE)
+        .select('bucket, count')
+        .eq('day', kstDate(start))
+        .in('bucket', [buckets.user, buckets.organization]);
+    if (error) throw error;
+    const countOf = (bucket) => data.find((row) => row.bucket === bucket)?.count || 0;
+    return {
+        user: countOf(buckets.user),
+        organization: countOf(buckets.organization),
+        limits: limitsOf(principal),
+        resetsAt: end.toISOString(),
+    };
+}
+
+// 새 문서 하나를 쓴다. 한도가 없으면 429 (Retry-After: 한국 시간 자정까지). 반환: releaseDailyQuota 에 넘길 값
+export async function claimDailyQuota(supabase, principal) {
+    const { start, end } = kstDay();
+    const limits = limitsOf(principal);
+    const buckets = bucketsOf(principal);
+    const day = kstDate(start);
+    const { data, error } = await supabase
+        .rpc('claim_daily_document', {
+            p_user_bucket: buckets.user, p_org_bucket: buckets.organization, p_day: day,
+            p_user_limit: limits.userDaily, p_org_limit: limits.organizationDaily,
+        })
+        .single();
+    if (error) throw error;
+    if (!data.allowed) {
+        const retryAfter = Math.ceil((end.getTime() - Date.now()) / 1000);
+        const limit = data.scope === 'user' ? `사용자 ${limits.userDaily}건` : `조직 ${limits.organizationDaily}건`;
+        throw new AuthError(429, `오늘 처리할 수 있는 문서 수(${limit})를 모두 썼습니다. 한국 시간 자정에 초기화됩니다.`, { retryAfter });
+    }
+    return { buckets, day };
+}
+
+export async function releaseDailyQuota(supabase, { buckets, day }) {
+    const { error } = await supabase.rpc('release_daily_document', { p_user_bucket: buckets.user, p_org_bucket: buckets.organization, p_day: day });
+    if (error) throw error;
+}
+
+// 처리 한 건의 하루 한도: claim 은 processDocument 가 중복 확인 뒤에 부르고(beforeProcessing),
+// settle 은 결과를 받아 문서가 남지 않았으면(저장도 격리도 아닌 오류) 쓴 한도를 돌려준다.
+export function dailyQuotaFor(supabase, principal) {
+    let claimed = null;
+    return {
+        claim: async () => {
+            claimed = await claimDailyQuota(supabase, principal);
+        },
+        settle: async (outcome) => {
+            if (!claimed || outcome.status === 200 || outcome.body?.quarantined) return;
+            try {
+                await releaseDailyQuota(supabase, claimed);
+            } catch (error) {
+                console.error("🚫 하루 한도 반환 실패:", error);
+            }
+        },
+    };
+}
@@ -0,0 +1,108 @@
+// /lib/verify-redaction.js
+// 저장 직전의 결과 PDF 에서 텍스트를 다시 뽑아, 분석 단계에서 찾은 실명/개인정보가 남아 있는지 확인한다.
+// DOCX/HWPX 는 결과 파일 안의 XML(속성 값, 메모, 변경 이력 포함)도 같은 방법으로 확인한다 (verifySourceFile).
+// 결과(findings)에는 원문 값 대신 일부를 가린 힌트만 담는다.
+// 텍스트로 확인할 수 없는 페이지(유니코드를 알 수 없는 글자, 텍스트 없이 이미지만 있음, 추출 실패)도 검증 실패로 본다.
+import { PDFDocument } from 'pdf-lib';
+import { extractPageTexts } from './pdf/text-extract.js';
+import { PII_LABELS } from './pii-detector.js';
+import { packageTexts } from './office/index.js';
+
+// 공백/대시/괄호를 뺀 비교용 문자열. 띄어 쓴 이름("홍 길 동")이나 하이픈 없는 번호도 잡힌다.
+const compact = (s) => (s || '').replace(/[\s\u00AD\u2010-\u2015\u2212\-().,·]/g, '');
+
+export function maskValue(value) {
+    const chars = Array.from(value || '');
+    if (chars.length <= 2) return chars[0] + '*';
+    const keep = chars.length <= 4 ? 1 : 2;
+    return chars.slice(0, keep).join('') + '*'.repeat(chars.length - keep * 2) + chars.slice(-keep).join('');
+}
+
+// targets: [{ type, label, value }]
+function buildTargets({ names = [], pii = [] }) {
+    const seen = new Set();
+    const targets = [];
+    const add = (type, label, value) => {
+        const needle = compact(value);
+        if (needle.length < 2 || seen.has(needle)) return;
+        seen.add(needle);
+        targets.push({ type, label, value, needle });
+    };
+    names.forEach((name) => add('party_name', '당사자 실명', name));
+    pii.forEach((f) => add(f.type, PII_LABELS[f.type] || f.type, f.value));
+    return targets;
+}
+
+// sources: [{ location, pageIndex, part?, text }] (text 는 compact 한 값)
+function findLeaks(targets, sources) {
+    const findings = [];
+    for (const target of targets) {
+        for (const { text, ...where } of sources) {
+            const count = text.split(target.needle).length - 1;
+            if (!count) continue;
+            findings.push({
+                type: target.type,
+                label: target.label,
+                ...where,
+                hint: maskValue(target.value),
+                count,
+            });
+        }
+    }
+    return findings;
+}
+
+// 텍스트를 다 읽지 못한 페이지의 이유 (읽을 수 있으면 null)
+function unreadableReason({ pageIndex, text, readability }, textLayerPages) {
+    if (readability.errors.length) return `텍스트 추출 실패 (${readability.errors[0]})`;
+    if (readability.undecodable) return `유니코드를 알 수 없는 글자 ${readability.undecodable}개`;
+    if (readability.images && !text.trim() && !textLayerPages.includes(pageIndex)) return '텍스트 없이 이미지만 있음';
+    return null;
+}
+
+// 정책으로 OCR 층을 지운 페이지 (결과 PDF 의 페이지 번호). 그 층은 탐지/마스킹 때 읽었으므로 이미지만 남아도 읽지 못한 페이지로 보지 않는다.
+export function textLayerPagesOf(report) {
+    const ocr = (report.hiddenContent || []).find((item) => item.type === 'ocr_text');
+    return (ocr?.pages || []).map((pageIndex) => pageIndex + (report.coverPages || 0));
+}
+
+// 반환: { clean, findings: [{ type, label, location, pageIndex, hint, count }] }
+// textLayerPages: textLayerPagesOf(report)
+export async function verifyRedaction(pdfBytes, { names, pii, textLayerPages = [] }) {
+    const targets = buildTargets({ names, pii });
+    const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+
+    const pages = extractPageTexts(pdfDoc);
+    const sources = pages.map((page) => ({
+        location: 'page', pageIndex: page.pageIndex, text: compact(page.text),
+    }));
+    const info = [pdfDoc.getTitle(), pdfDoc.getAuthor(), pdfDoc.getSubject(), pdfDoc.getKeywords(), pdfDoc.getCreator(), pdfDoc.getProducer()];
+    sources.push({ location: 'metadata', pageIndex: null, text: compact(info.filter(Boolean).join(' ')) });
+
+    const findings = findLeaks(targets, sources);
+    for (const page of pages) {
+        const reason = unreadableReason(page, textLayerPages);
+        if (reason) findings.push({ type: 'unreadable', label: '검증할 수 없는 페이지', location: 'page', pageIndex: page.pageIndex, hint: reason, count: 1 });
+    }
+    return { clean: findings.length === 0, checked: targets.length, findings };
+}
+
+// DOCX/HWPX 결과 파일. findings 의 location 은 'file', part 는 패키지 안 파일 이름
+export function verifySourceFile(fileBytes, { names, pii }) {
+    const targets = buildTargets({ names, pii });
+    const sources = packageTexts(fileBytes).map(({ part, text }) => ({ location: 'file', pageIndex: null, part, text: compact(text) }));
+    const findings = findLeaks(targets, sources);
+    return { clean: findings.length === 0, checked: targets.length, findings };
+}
+
+// PDF 와 결과 파일 검증을 하나로 합친다
+export function mergeVerifications(...results) {
+    const findings = results.flatMap((result) => result.findings);
+    return { clean: findings.length === 0, checked: Math.max(...results.map((result) => result.checked)), findings };
+}
+
+export function describeFindings(findings) {
+    return findings
+        .map((f) => (f.type === 'unreadable' ? `${f.pageIndex + 1}페이지를 검증할 수 없음: ${f.hint}` : `${f.label} '${f.hint}' (${f.location === 'metadata' ? '문서 속성' : f.location === 'file' ? `파일 ${f.part}` : `${f.pageIndex + 1}페이지`}, ${f.count}회)`))
+        .join(', ');
+}
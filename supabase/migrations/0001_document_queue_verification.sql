@@ -0,0 +1,7 @@
+-- 결과물 유출 검증 결과와 격리(quarantined) 상태 저장
+alter table document_queue add column if not exists verification jsonb;
+
+-- 격리된 파일은 공개되지 않는 별도 버킷에 둔다
+insert into storage.buckets (id, name, public)
+values ('legal-quarantine', 'legal-quarantine', false)
+on conflict (id) do nothing;
@@ -0,0 +1,21 @@
+-- 사건별 가명 등록부
+-- 사건번호/당사자 이름은 HMAC(case_key, party_key)으로만 저장하고, 실명은 name_enc 에 AES-256-GCM 으로 암호화한다.
+create table if not exists pseudonym_cases (
+    case_key text primary key,
+    case_group uuid not null,
+    created_at timestamptz not null default now()
+);
+create index if not exists pseudonym_cases_group_idx on pseudonym_cases (case_group);
+
+create table if not exists pseudonym_registry (
+    id bigint generated always as identity primary key,
+    case_group uuid not null,
+    party_key text not null,
+    role text,
+    pseudonym text not null,
+    name_enc text not null,
+    created_at timestamptz not null default now(),
+    unique (case_group, party_key)
+);
+
+alter table document_queue add column if not exists case_group uuid;
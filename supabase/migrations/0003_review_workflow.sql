@@ -0,0 +1,28 @@
+-- 검토/승인 흐름: pending → in_review → approved / rejected
+alter table document_queue add column if not exists original_key text;
+alter table document_queue add column if not exists review_key text;
+alter table document_queue add column if not exists needs_rerender boolean not null default false;
+alter table document_queue add column if not exists updated_at timestamptz;
+alter table document_queue add column if not exists updated_by text;
+
+alter table document_queue drop constraint if exists document_queue_status_check;
+alter table document_queue add constraint document_queue_status_check
+    check (status in ('pending', 'in_review', 'approved', 'rejected', 'quarantined')) not valid;
+
+-- 상태 변경/수정 이력 (누가, 언제, 무엇을)
+create table if not exists document_events (
+    id bigint generated always as identity primary key,
+    document_id bigint not null references document_queue (id) on delete cascade,
+    action text not null,
+    from_status text,
+    to_status text,
+    actor text not null,
+    details jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now()
+);
+create index if not exists document_events_document_idx on document_events (document_id, created_at);
+
+-- 원본과 검토본은 비공개 버킷에 두고, 승인된 문서만 공개 버킷(legal-docs)으로 복사한다
+insert into storage.buckets (id, name, public)
+values ('legal-originals', 'legal-originals', false), ('legal-review', 'legal-review', false)
+on conflict (id) do nothing;
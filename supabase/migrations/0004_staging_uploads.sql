@@ -0,0 +1,5 @@
+-- 대용량 업로드용 비공개 스테이징 버킷 (브라우저는 서명된 업로드 URL 로만 쓴다)
+-- 처리 후 바로 지우지만, 업로드만 하고 처리하지 않은 조각이 남을 수 있으니 주기적으로 정리한다.
+insert into storage.buckets (id, name, public, file_size_limit)
+values ('legal-staging', 'legal-staging', false, 5242880)
+on conflict (id) do nothing;
@@ -0,0 +1,11 @@
+-- 게시 버킷(legal-docs)도 비공개로 바꾸고, 공개 URL 대신 객체 키만 저장한다.
+-- 파일은 /api/documents/[id]/download 가 발급하는 만료 서명 URL 로만 내려받는다.
+update storage.buckets set public = false where id = 'legal-docs';
+
+alter table document_queue add column if not exists file_key text;
+update document_queue
+set file_key = substring(file_url from '/storage/v1/object/public/legal-docs/(.+)$')
+where file_key is null and file_url like '%/storage/v1/object/public/legal-docs/%';
+alter table document_queue drop column if exists file_url;
+
+create unique index if not exists document_queue_file_key_idx on document_queue (file_key) where file_key is not null;
@@ -0,0 +1,5 @@
+-- 문서별 비식별화 처리 보고서 (입출력 SHA-256, 분석 제공자, 페이지별 제거 범위, 탐지 유형, 가명 매핑 ID)
+alter table document_queue add column if not exists redaction_report jsonb;
+
+-- 입력 해시로 같은 원본의 처리 이력을 찾을 수 있게 한다
+create index if not exists document_queue_input_sha256_idx on document_queue ((redaction_report -> 'input' ->> 'sha256'));
@@ -0,0 +1,16 @@
+-- 비동기 처리 작업 (api/jobs)
+create table if not exists redaction_jobs (
+    id uuid primary key default gen_random_uuid(),
+    status text not null default 'queued' check (status in ('queued', 'running', 'completed', 'failed')),
+    stage text not null default 'queued',
+    input jsonb not null,
+    result jsonb,
+    error jsonb,
+    attempts integer not null default 0,
+    document_id bigint references document_queue (id) on delete set null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    started_at timestamptz,
+    finished_at timestamptz
+);
+create index if not exists redaction_jobs_status_idx on redaction_jobs (status, updated_at);
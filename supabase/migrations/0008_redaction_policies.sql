@@ -0,0 +1,14 @@
+-- 비식별화 정책 프로필 (lib/redaction-policies.js)
+-- 기본 프로필(default, publication, research)은 코드에 있다. 같은 이름으로 넣으면 이 테이블의 규칙이 우선한다.
+-- rules: { "<개체 유형>": "keep" | "pseudonymize" | "remove" }, 빠진 유형은 default 규칙을 따른다.
+create table if not exists redaction_policies (
+    name text primary key,
+    description text,
+    rules jsonb not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- 문서마다 처리에 쓴 정책 (규칙 전체는 redaction_report.policy 에 남는다)
+alter table document_queue add column if not exists policy text not null default 'default';
+create index if not exists document_queue_policy_idx on document_queue (policy);
@@ -0,0 +1,33 @@
+-- 검색용 판결 메타데이터 (lib/judgment-metadata.js 에서 계산해 처리/수정 때 저장한다)
+alter table document_queue add column if not exists court text;
+alter table document_queue add column if not exists case_no text;
+alter table document_queue add column if not exists case_year smallint;
+alter table document_queue add column if not exists case_type text;
+alter table document_queue add column if not exists case_serial integer;
+alter table document_queue add column if not exists decision_date date;
+alter table document_queue add column if not exists instance_level smallint check (instance_level between 1 and 3);
+alter table document_queue add column if not exists outcome text;
+
+-- 주문/청구취지 자유 검색: 가명 처리된 값(ai_result.meta)에서 만든다. 검토자가 고치면 함께 바뀐다.
+alter table document_queue add column if not exists search_text text generated always as (
+    coalesce(ai_result -> 'meta' ->> 'order_anonymized', '') || E'\n' || coalesce(ai_result -> 'meta' ->> 'claim_anonymized', '')
+) stored;
+
+create extension if not exists pg_trgm;
+create index if not exists document_queue_search_text_idx on document_queue using gin (search_text gin_trgm_ops);
+create index if not exists document_queue_court_idx on document_queue using gin (court gin_trgm_ops);
+create index if not exists document_queue_case_type_idx on document_queue (case_type, case_year);
+create index if not exists document_queue_decision_date_idx on document_queue (decision_date);
+
+-- 이전 문서: 법원과 사건번호만 채운다 (선고일/심급/결과는 재생성이나 수정 때 계산된다)
+update document_queue
+set court = nullif(ai_result -> 'meta' ->> 'court', '정보없음'),
+    case_year = m[1]::smallint,
+    case_type = m[2],
+    case_serial = m[3]::integer,
+    case_no = m[1] || m[2] || m[3]
+from (
+    select id as doc_id, regexp_match(ai_result -> 'meta' ->> 'caseNo', '(\d{4})\s*([가-힣]{1,4})\s*(\d{1,7})') as m
+    from document_queue
+) parsed
+where parsed.doc_id = document_queue.id and court is null and case_no is null and ai_result ? 'meta';
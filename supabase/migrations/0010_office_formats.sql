@@ -0,0 +1,9 @@
+-- DOCX/HWPX 입력: 같은 형식 결과 파일을 PDF 와 함께 보관/게시한다 (lib/office)
+alter table document_queue add column if not exists source_format text not null default 'pdf'
+    check (source_format in ('pdf', 'docx', 'hwpx'));
+-- 검토 버킷(legal-review)의 결과 파일. review_key 는 함께 만든 PDF 다.
+alter table document_queue add column if not exists review_source_key text;
+-- 승인 후 게시 버킷(legal-docs)의 결과 파일. file_key 는 함께 만든 PDF 다.
+alter table document_queue add column if not exists source_file_key text;
+
+create unique index if not exists document_queue_source_file_key_idx on document_queue (source_file_key) where source_file_key is not null;
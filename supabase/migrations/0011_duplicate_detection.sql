@@ -0,0 +1,34 @@
+-- 중복 입력 확인 (lib/document-fingerprint.js)
+-- 원본 내용 해시: 같은 파일을 다시 올리면 기존 결과를 돌려준다
+alter table document_queue add column if not exists content_sha256 text;
+-- 같은 사건 키: 공백을 뺀 법원 이름 | 정규화한 사건번호 (lib/judgment-metadata.js caseKeyOf)
+alter table document_queue add column if not exists case_key text;
+-- 같은 사건의 다른 내용 문서가 이미 있었으면 그중 가장 최근 문서 (새 버전일 수 있음, 검토자가 판단)
+alter table document_queue add column if not exists version_of bigint references document_queue (id) on delete set null;
+
+create index if not exists document_queue_content_sha256_idx on document_queue (content_sha256);
+create index if not exists document_queue_case_key_idx on document_queue (case_key);
+
+-- 이전 문서: 처리 보고서의 원본 해시와 저장된 법원/사건번호로 채운다
+update document_queue
+set content_sha256 = redaction_report -> 'input' ->> 'sha256'
+where content_sha256 is null and redaction_report ? 'input';
+
+update document_queue
+set case_key = regexp_replace(court, '\s+', '', 'g') || '|' || case_no
+where case_key is null and court is not null and case_no is not null;
+
+-- 작업 API 멱등 키: 같은 키로 다시 제출하면 처음 만든 작업을 돌려준다
+alter table redaction_jobs add column if not exists idempotency_key text;
+create unique index if not exists redaction_jobs_idempotency_key_idx on redaction_jobs (idempotency_key) where idempotency_key is not null;
+
+-- 동기 API 멱등 키 (lib/idempotency.js). 완료된 키는 24시간 동안 처음 응답을 돌려준다.
+create table if not exists idempotency_keys (
+    key text primary key,
+    request_hash text not null,
+    status text not null default 'processing' check (status in ('processing', 'completed')),
+    response jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+create index if not exists idempotency_keys_updated_at_idx on idempotency_keys (updated_at);
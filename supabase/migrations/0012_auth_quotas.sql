@@ -0,0 +1,90 @@
+-- 업로드 API 인증과 사용 한도 (lib/auth.js, lib/usage-limits.js)
+-- 한도 컬럼이 null 이면 환경 변수 기본값 (UPLOAD_RATE_LIMIT_PER_USER/ORG, DAILY_DOCUMENT_QUOTA_PER_USER/ORG)
+create table if not exists organizations (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    rate_limit_per_minute integer check (rate_limit_per_minute > 0),
+    daily_document_quota integer check (daily_document_quota > 0),
+    created_at timestamptz not null default now()
+);
+
+-- 사용자는 한 조직에 속한다. viewer 는 업로드할 수 없다.
+create table if not exists organization_members (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    organization_id uuid not null references organizations (id) on delete cascade,
+    role text not null default 'member' check (role in ('admin', 'member', 'viewer')),
+    rate_limit_per_minute integer check (rate_limit_per_minute > 0),
+    daily_document_quota integer check (daily_document_quota > 0),
+    created_at timestamptz not null default now()
+);
+create index if not exists organization_members_organization_idx on organization_members (organization_id);
+
+-- 발급한 API 키: 원문은 저장하지 않고 SHA-256 해시와 앞부분(prefix)만 둔다
+create table if not exists api_keys (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    organization_id uuid references organizations (id) on delete cascade,
+    label text,
+    prefix text not null,
+    key_hash text not null unique,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    revoked_at timestamptz
+);
+create index if not exists api_keys_user_idx on api_keys (user_id);
+
+-- 문서와 작업을 올린 사용자/조직 (이전 문서는 null)
+alter table document_queue add column if not exists uploaded_by uuid references auth.users (id) on delete set null;
+alter table document_queue add column if not exists organization_id uuid references organizations (id) on delete set null;
+alter table document_queue add column if not exists api_key_id uuid references api_keys (id) on delete set null;
+create index if not exists document_queue_uploaded_by_idx on document_queue (uploaded_by, created_at);
+create index if not exists document_queue_organization_idx on document_queue (organization_id, created_at);
+
+alter table redaction_jobs add column if not exists user_id uuid references auth.users (id) on delete set null;
+alter table redaction_jobs add column if not exists organization_id uuid references organizations (id) on delete set null;
+create index if not exists redaction_jobs_user_idx on redaction_jobs (user_id, status);
+create index if not exists redaction_jobs_organization_idx on redaction_jobs (organization_id, status);
+
+-- 분당 요청 수: 고정 창 카운터. 창이 바뀌면 같은 bucket 의 이전 창은 지운다.
+create table if not exists rate_limit_counters (
+    bucket text not null,
+    window_start timestamptz not null,
+    count integer not null default 0,
+    primary key (bucket, window_start)
+);
+
+create or replace function hit_rate_limit(p_bucket text, p_window_seconds integer, p_limit integer)
+returns table (allowed boolean, current_count integer, retry_after integer)
+language plpgsql
+as $$
+declare
+    w timestamptz := to_timestamp(floor(extract(epoch from now()) / p_window_seconds) * p_window_seconds);
+    c integer;
+begin
+    delete from rate_limit_counters where bucket = p_bucket and window_start < w;
+    insert into rate_limit_counters as r (bucket, window_start, count) values (p_bucket, w, 1)
+    on conflict (bucket, window_start) do update set count = r.count + 1
+    returning r.count into c;
+    return query select
+        c <= p_limit,
+        c,
+        greatest(1, ceil(extract(epoch from (w + make_interval(secs => p_window_seconds) - now()))))::integer;
+end;
+$$;
+
+-- 서버 키로만 부른다 (브라우저의 anon 키로 다른 사용자의 한도를 쓰지 못하게)
+revoke execute on function hit_rate_limit(text, integer, integer) from public, anon, authenticated;
+
+-- 업로드 화면이 로그인용 anon 키를 받으므로(api/auth-config) 모든 표에 RLS 를 켠다.
+-- 정책이 없으면 anon/authenticated 는 읽고 쓸 수 없고, 서버 키(SUPABASE_KEY, service role)는 RLS 를 거치지 않는다.
+alter table document_queue enable row level security;
+alter table document_events enable row level security;
+alter table pseudonym_cases enable row level security;
+alter table pseudonym_registry enable row level security;
+alter table redaction_jobs enable row level security;
+alter table redaction_policies enable row level security;
+alter table idempotency_keys enable row level security;
+alter table organizations enable row level security;
+alter table organization_members enable row level security;
+alter table api_keys enable row level security;
+alter table rate_limit_counters enable row level security;
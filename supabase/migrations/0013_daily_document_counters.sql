@@ -0,0 +1,62 @@
+-- 하루 문서 수 한도 (lib/usage-limits.js). 세고 나서 나중에 행을 넣으면 동시 요청이 함께 한도를 넘을 수 있으므로,
+-- hit_rate_limit 처럼 확인과 증가를 함수 하나에서 한다. bucket: 'user:<id>' / 'org:<id>', day: 한국 시간 날짜
+create table if not exists daily_document_counters (
+    bucket text not null,
+    day date not null,
+    count integer not null default 0,
+    primary key (bucket, day)
+);
+
+-- 사용자와 조직 한도가 모두 남아 있을 때만 둘 다 하나씩 올린다. 행은 항상 사용자 → 조직 순서로 잠근다.
+create or replace function claim_daily_document(p_user_bucket text, p_org_bucket text, p_day date, p_user_limit integer, p_org_limit integer)
+returns table (allowed boolean, scope text, user_count integer, organization_count integer)
+language plpgsql
+as $$
+declare
+    u integer;
+    o integer;
+begin
+    delete from daily_document_counters where bucket in (p_user_bucket, p_org_bucket) and day < p_day;
+    insert into daily_document_counters (bucket, day) values (p_user_bucket, p_day) on conflict do nothing;
+    insert into daily_document_counters (bucket, day) values (p_org_bucket, p_day) on conflict do nothing;
+    select count into u from daily_document_counters where bucket = p_user_bucket and day = p_day for update;
+    select count into o from daily_document_counters where bucket = p_org_bucket and day = p_day for update;
+
+    if u >= p_user_limit then
+        return query select false, 'user', u, o;
+    elsif o >= p_org_limit then
+        return query select false, 'organization', u, o;
+    else
+        update daily_document_counters set count = count + 1 where bucket in (p_user_bucket, p_org_bucket) and day = p_day;
+        return query select true, null::text, u + 1, o + 1;
+    end if;
+end;
+$$;
+
+-- 처리가 문서를 남기지 못하고 끝나면(오류) 올린 수를 돌려준다
+create or replace function release_daily_document(p_user_bucket text, p_org_bucket text, p_day date)
+returns void
+language sql
+as $$
+    update daily_document_counters set count = greatest(count - 1, 0)
+    where bucket in (p_user_bucket, p_org_bucket) and day = p_day;
+$$;
+
+revoke execute on function claim_daily_document(text, text, date, integer, integer) from public, anon, authenticated;
+revoke execute on function release_daily_document(text, text, date) from public, anon, authenticated;
+alter table daily_document_counters enable row level security;
+
+-- 오늘 이미 처리한 문서 수로 시작한다 (이전에는 document_queue 행을 셌다)
+insert into daily_document_counters (bucket, day, count)
+select 'user:' || uploaded_by, (now() at time zone 'Asia/Seoul')::date, count(*)
+from document_queue
+where uploaded_by is not null and created_at >= (date_trunc('day', now() at time zone 'Asia/Seoul') at time zone 'Asia/Seoul')
+group by uploaded_by
+on conflict (bucket, day) do nothing;
+
+insert into daily_document_counters (bucket, day, count)
+select 'org:' || organization_id, (now() at time zone 'Asia/Seoul')::date, count(*)
+from document_queue
+where organization_id is not null and created_at >= (date_trunc('day', now() at time zone 'Asia/Seoul') at time zone 'Asia/Seoul')
+group by organization_id
+on conflict (bucket, day) do nothing;
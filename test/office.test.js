@@ -0,0 +1,67 @@
+// lib/office: 문단 텍스트가 아닌 필드 코드/외부 링크 주소 정리, 잘못된 ZIP 은 400
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadOfficePackage, rewriteOfficePackage, packageTexts, OfficeError } from '../lib/office/index.js';
+import { readZip, writeZip, ZipError } from '../lib/office/zip.js';
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const EMAIL = 'hong@example.com';
+
+const field = (code, result) => `<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve">${code}</w:instrText></w:r>`
+    + `<w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>${result}</w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r>`;
+
+function sampleDocx() {
+    const body = `<w:p><w:r><w:t>연락처 </w:t></w:r>${field(` HYPERLINK "mailto:${EMAIL}" `, '이메일')}</w:p>`
+        + `<w:p>${field(' PAGE \\* MERGEFORMAT ', '1')}</w:p>`
+        + `<w:p><w:fldSimple w:instr=" INCLUDETEXT &quot;C:\\사건\\${EMAIL}.docx&quot; "><w:r><w:t>포함</w:t></w:r></w:fldSimple></w:p>`;
+    const rels = '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="mailto:${EMAIL}" TargetMode="External"/>`
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>';
+    return writeZip([
+        { name: 'word/document.xml', method: 8, data: Buffer.from(`<w:document ${W}><w:body>${body}</w:body></w:document>`) },
+        { name: 'word/_rels/document.xml.rels', method: 8, data: Buffer.from(rels) },
+    ]);
+}
+
+test('링크 필드 코드와 외부 관계 주소는 지우고 쪽 번호 필드는 남긴다', () => {
+    const pkg = loadOfficePackage(sampleDocx());
+    assert.ok(packageTexts(sampleDocx()).some(({ text }) => text.includes(EMAIL)));
+
+    const { bytes, links } = rewriteOfficePackage(pkg, new Map());
+    assert.deepEqual(links, { fieldCodes: 2, externalTargets: 1 });
+    assert.equal(packageTexts(bytes).some(({ text }) => text.includes(EMAIL)), false);
+
+    const files = new Map(readZip(bytes).map(({ name, data }) => [name, data.toString('utf8')]));
+    assert.match(files.get('word/document.xml'), /PAGE \\\* MERGEFORMAT/);
+    assert.match(files.get('word/document.xml'), /<w:t>이메일<\/w:t>/);
+    assert.match(files.get('word/_rels/document.xml.rels'), /Target="about:blank" TargetMode="External"/);
+    assert.match(files.get('word/_rels/document.xml.rels'), /Target="styles.xml"/);
+});
+
+test('적힌 크기보다 크게 풀리는 항목은 ZipError, 문서로는 400', () => {
+    const zip = writeZip([{ name: 'word/document.xml', method: 8, data: Buffer.alloc(100000, 'a') }]);
+    // 중앙 디렉터리의 압축 푼 크기를 10 바이트로 고친다
+    const central = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    zip.writeUInt32LE(10, central + 24);
+
+    assert.throws(() => readZip(zip), ZipError);
+    assert.throws(() => loadOfficePackage(zip), (error) => error instanceof OfficeError && error.status === 400);
+});
+
+test('목록이나 항목의 위치가 파일 밖을 가리키면 ZipError, 문서로는 400', () => {
+    const corrupt = (patch) => {
+        const zip = sampleDocx();
+        patch(zip, zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06])), zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])));
+        return zip;
+    };
+    // 끝 레코드의 중앙 디렉터리 위치, 마지막 항목의 로컬 헤더 위치
+    const cases = [
+        corrupt((zip, eocd) => zip.writeUInt32LE(zip.length + 100, eocd + 16)),
+        corrupt((zip, eocd, central) => zip.writeUInt32LE(zip.length - 10, central + 42)),
+    ];
+    for (const zip of cases) {
+        assert.throws(() => readZip(zip), ZipError);
+        assert.throws(() => loadOfficePackage(zip), (error) => error instanceof OfficeError && error.status === 400);
+    }
+});
@@ -0,0 +1,82 @@
+// lib/pdf/redact.js: 지운 글자가 저장된 파일의 어느 바이트에도 남지 않는지 (원래 콘텐츠 스트림, 폼 XObject 포함)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { redactRegions } from '../lib/pdf/redact.js';
+import { extractPageTexts } from '../lib/pdf/text-extract.js';
+
+const SECRET = 'SECRET-NAME-1234';
+const REGION = { pageIndex: 0, rect: [10, 95, 290, 115] };
+
+// 파일 원본 바이트와 Flate 스트림을 푼 내용에서 글자(그대로 또는 16진 문자열)를 찾는다
+function containsText(bytes, text) {
+    const raw = Buffer.from(bytes).toString('latin1');
+    const chunks = [raw];
+    for (const match of raw.matchAll(/stream\r?\n/g)) {
+        const start = match.index + match[0].length;
+        const end = raw.indexOf('endstream', start);
+        try {
+            chunks.push(zlib.inflateSync(Buffer.from(raw.slice(start, end), 'latin1')).toString('latin1'));
+        } catch (e) {
+            // 압축되지 않은 스트림은 원본 바이트에서 찾는다
+        }
+    }
+    const hex = Buffer.from(text).toString('hex').toUpperCase();
+    return chunks.some((chunk) => chunk.includes(text) || chunk.toUpperCase().includes(hex));
+}
+
+async function drawSample(target) {
+    const font = await target.doc.embedFont(StandardFonts.Helvetica);
+    target.page.drawText(SECRET, { x: 20, y: 100, size: 12, font });
+    target.page.drawText('keep me', { x: 20, y: 40, size: 12, font });
+}
+
+async function redactAndSave(doc) {
+    const before = await doc.save({ useObjectStreams: false });
+    assert.ok(containsText(before, SECRET));
+    const [stats] = redactRegions(doc, [REGION]);
+    return { stats, bytes: await doc.save({ useObjectStreams: false }) };
+}
+
+test('페이지 콘텐츠의 지운 글자는 저장 파일에 남지 않는다', async () => {
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([300, 200]);
+    await drawSample({ doc, page });
+
+    const { stats, bytes } = await redactAndSave(doc);
+    assert.equal(stats.glyphs, SECRET.length);
+    assert.equal(containsText(bytes, SECRET), false);
+
+    const [text] = extractPageTexts(await PDFDocument.load(bytes));
+    assert.match(text.text, /keep me/);
+});
+
+test('폼 XObject 안의 지운 글자도 원본 폼과 함께 사라진다', async () => {
+    const source = await PDFDocument.create();
+    await drawSample({ doc: source, page: source.addPage([300, 200]) });
+    const doc = await PDFDocument.create();
+    const [embedded] = await doc.embedPdf(await source.save());
+    doc.addPage([300, 200]).drawPage(embedded, { x: 0, y: 0 });
+
+    const { stats, bytes } = await redactAndSave(doc);
+    assert.equal(stats.forms, 1);
+    assert.equal(containsText(bytes, SECRET), false);
+
+    const [text] = extractPageTexts(await PDFDocument.load(bytes));
+    assert.match(text.text, /keep me/);
+});
+
+test('같은 리소스를 쓰는 다른 페이지의 XObject 는 그대로 둔다', async () => {
+    const source = await PDFDocument.create();
+    await drawSample({ doc: source, page: source.addPage([300, 200]) });
+    const doc = await PDFDocument.create();
+    const [embedded] = await doc.embedPdf(await source.save());
+    doc.addPage([300, 200]).drawPage(embedded, { x: 0, y: 0 });
+    doc.addPage([300, 200]).drawPage(embedded, { x: 0, y: 0 });
+
+    const { bytes } = await redactAndSave(doc);
+    const [first, second] = extractPageTexts(await PDFDocument.load(bytes));
+    assert.doesNotMatch(first.text, /SECRET/);
+    assert.match(second.text, new RegExp(SECRET));
+});
@@ -0,0 +1,58 @@
+// lib/pii-detector.js: 모델 없이 규칙만으로 찾는 개인정보
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPii, summarizePii, DEFAULT_PII_TYPES } from '../lib/pii-detector.js';
+
+const ALL_TYPES = [...DEFAULT_PII_TYPES, 'date', 'amount'];
+const found = (text, types) => detectPii(text, types ? { types } : undefined).map(({ type, value }) => [type, value]);
+
+test('주민등록번호와 외국인등록번호는 생년월일이 맞을 때만 찾는다', () => {
+    assert.deepEqual(found('원고 홍길동(800101-1234567)'), [['rrn', '800101-1234567']]);
+    assert.deepEqual(found('외국인 900505-5123456'), [['foreigner_rrn', '900505-5123456']]);
+    assert.deepEqual(found('번호 801301-1234567'), []);
+});
+
+test('사업자등록번호, 이메일, 전화번호', () => {
+    assert.deepEqual(found('사업자등록번호 123-45-67890'), [['business_no', '123-45-67890']]);
+    assert.deepEqual(found('메일 hong@example.com'), [['email', 'hong@example.com']]);
+    assert.deepEqual(found('연락처 010-1234-5678, 02-123-4567'), [['phone', '010-1234-5678'], ['phone', '02-123-4567']]);
+});
+
+test('여러 종류의 대시도 같은 번호로 보고 원문 값을 돌려준다', () => {
+    assert.deepEqual(found('전화 010‐1234‐5678'), [['phone', '010‐1234‐5678']]);
+});
+
+test('차량번호', () => {
+    assert.deepEqual(found('피고 차량(12가3456)을 운전하여'), [['vehicle_plate', '12가3456']]);
+    assert.deepEqual(found('서울12가3456 승용차'), [['vehicle_plate', '서울12가3456']]);
+    assert.deepEqual(found('123가4567 차량'), [['vehicle_plate', '123가4567']]);
+});
+
+test('두 자리 연도 사건번호를 인용한 곳은 차량번호로 보지 않는다', () => {
+    assert.deepEqual(found('대법원 1998. 2. 10. 선고 97다1234 판결 참조'), []);
+    assert.deepEqual(found('(대법원 1998. 2. 10. 선고 97다1234, 97다5678 판결 등 참조)'), []);
+    assert.deepEqual(found('97다1234 사건에서'), []);
+    assert.deepEqual(found('2024가합123 손해배상'), []);
+});
+
+test('계좌번호는 은행/계좌 문맥이나 긴 번호 형식일 때 찾는다', () => {
+    assert.deepEqual(found('국민은행 계좌 123-456789-01-234로 입금'), [['bank_account', '123-456789-01-234']]);
+    assert.deepEqual(found('계좌번호: 1234567890123'), [['bank_account', '1234567890123']]);
+});
+
+test('주소는 동/호수까지 한 구간으로 찾는다', () => {
+    assert.deepEqual(found('서울특별시 강남구 테헤란로 123, 101동 202호'), [['address', '서울특별시 강남구 테헤란로 123, 101동 202호']]);
+});
+
+test('날짜와 금액은 types 로 요청할 때만 돌려준다', () => {
+    const text = '2024. 3. 15. 금 1,500,000원을 지급하라';
+    assert.deepEqual(found(text), []);
+    assert.deepEqual(found(text, ALL_TYPES), [['date', '2024. 3. 15.'], ['amount', '1,500,000원']]);
+});
+
+test('위치와 유형별 건수', () => {
+    const text = '010-1234-5678 / hong@example.com / 010-9999-8888';
+    const findings = detectPii(text);
+    for (const { start, end, value } of findings) assert.equal(text.slice(start, end), value);
+    assert.deepEqual(summarizePii(findings), { phone: 2, email: 1 });
+});
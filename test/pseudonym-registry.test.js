@@ -0,0 +1,54 @@
+// lib/pseudonym-registry.js: 사건 그룹은 조직 + 법원 + 사건번호로 나누고, 실명은 분석 제공자에게 보내지 않는다
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPseudonymRegistry } from '../lib/pseudonym-registry.js';
+import { findCaseReferences } from '../lib/case-number.js';
+import { buildAnalysisPrompt } from '../lib/analysis/prompt.js';
+
+// pseudonym_cases 만 흉내 내는 메모리 테이블
+function fakeSupabase() {
+    const rows = [];
+    return {
+        rows,
+        from: () => ({
+            select: () => ({
+                in: (column, keys) => ({
+                    order: async () => ({ data: rows.filter((row) => keys.includes(row[column])), error: null }),
+                }),
+            }),
+            upsert: async (inserts) => {
+                rows.push(...inserts.map((row) => ({ ...row, created_at: new Date().toISOString() })));
+                return { error: null };
+            },
+        }),
+    };
+}
+
+test('판결문 머리에서 심급별 법원과 사건번호를 찾는다', () => {
+    const header = '대 법 원\n판 결\n사 건 2023다1234 손해배상(기)\n원 심 판 결 서울고등법원 2022. 5. 6. 선고 2021나5678 판결';
+    assert.deepEqual(findCaseReferences(header), [
+        { court: '대법원', caseNo: '2023다1234' },
+        { court: '서울고등법원', caseNo: '2021나5678' },
+    ]);
+});
+
+test('같은 조직, 같은 법원의 같은 사건번호만 같은 그룹이 된다', async () => {
+    const supabase = fakeSupabase();
+    const registry = (organizationId) => createPseudonymRegistry(supabase, { organizationId, secret: 'secret' });
+    const ref = { court: '서울중앙지방법원', caseNo: '2020가합123' };
+
+    const group = await registry('o1').resolveCaseGroup([ref]);
+    assert.equal(await registry('o1').resolveCaseGroup([{ court: '서울 중앙 지방법원', caseNo: '2020 가합 123' }]), group);
+    assert.notEqual(await registry('o1').resolveCaseGroup([{ ...ref, court: '부산지방법원' }]), group);
+    assert.notEqual(await registry('o2').resolveCaseGroup([ref]), group);
+
+    // 법원을 알 수 없는 사건번호로는 그룹을 만들지 않는다
+    assert.equal(await registry('o1').resolveCaseGroup([{ court: null, caseNo: '2020가합123' }]), null);
+    assert.ok(supabase.rows.every((row) => !row.case_key.includes('2020')));
+});
+
+test('분석 프롬프트에는 등록된 가명만 넣고 실명은 넣지 않는다', () => {
+    const prompt = buildAnalysisPrompt({ knownPseudonyms: [{ role: '원고', pseudonym: '원고 A', name: '홍길동' }] });
+    assert.match(prompt, /"원고 A" \(원고\)/);
+    assert.doesNotMatch(prompt, /홍길동/);
+});
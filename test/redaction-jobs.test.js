@@ -0,0 +1,21 @@
+// lib/redaction-jobs.js: 작업은 만든 조직 안에서만, 조직이 없는 작업은 만든 사용자 본인만 볼 수 있다
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertJobAccess, JobError } from '../lib/redaction-jobs.js';
+
+const member = (userId, organizationId) => ({ userId, organizationId });
+const denied = (error) => error instanceof JobError && error.status === 404;
+
+test('조직이 있는 작업은 같은 조직 사용자만 볼 수 있다', () => {
+    const job = { id: 1, organization_id: 'o1', user_id: 'u1' };
+    assert.equal(assertJobAccess(job, member('u2', 'o1')), job);
+    assert.throws(() => assertJobAccess(job, member('u3', 'o2')), denied);
+});
+
+test('조직이 없는 작업은 만든 사용자 본인만 볼 수 있다', () => {
+    const job = { id: 2, organization_id: null, user_id: null, input: { uploader: { userId: 'u1', organizationId: null } } };
+    assert.equal(assertJobAccess(job, member('u1', 'o1')), job);
+    assert.throws(() => assertJobAccess(job, member('u2', 'o1')), denied);
+    assert.throws(() => assertJobAccess(job, member('u3', 'o2')), denied);
+    assert.throws(() => assertJobAccess({ id: 3, organization_id: null, user_id: null, input: {} }, member('u1', 'o1')), denied);
+});
@@ -0,0 +1,63 @@
+// lib/verify-redaction.js: 텍스트로 확인할 수 없는 페이지는 깨끗하다고 보지 않는다
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import fontkit from '@pdf-lib/fontkit';
+import { PDFDocument, PDFName, StandardFonts } from 'pdf-lib';
+import { verifyRedaction, textLayerPagesOf, describeFindings } from '../lib/verify-redaction.js';
+
+const NAME = '홍길동';
+// 1x1 흰색 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==', 'base64');
+
+const unreadable = (result) => result.findings.filter((f) => f.type === 'unreadable').map((f) => [f.pageIndex, f.hint]);
+
+test('읽을 수 있는 페이지에서 이름을 찾으면 실패, 없으면 통과', async () => {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    doc.addPage([300, 200]).drawText('Plaintiff A vs Defendant B', { x: 20, y: 100, size: 12, font });
+    const bytes = await doc.save();
+
+    assert.equal((await verifyRedaction(bytes, { names: ['Defendant B'], pii: [] })).clean, false);
+    assert.equal((await verifyRedaction(bytes, { names: [NAME], pii: [] })).clean, true);
+});
+
+test('ToUnicode 없는 Identity-H 글자는 검증할 수 없다', async () => {
+    const doc = await PDFDocument.create();
+    doc.registerFontkit(fontkit);
+    const font = await doc.embedFont(await readFile(new URL('../assets/fonts/NanumGothic-Regular.ttf', import.meta.url)), { subset: true });
+    doc.addPage([300, 200]).drawText(`원고 ${NAME}`, { x: 20, y: 100, size: 12, font });
+    await doc.flush();
+    doc.context.lookup(font.ref).delete(PDFName.of('ToUnicode'));
+
+    const result = await verifyRedaction(await doc.save(), { names: [NAME], pii: [] });
+    assert.equal(result.clean, false);
+    assert.equal(unreadable(result).length, 1);
+    assert.match(unreadable(result)[0][1], /유니코드/);
+});
+
+test('텍스트 없이 이미지만 있는 페이지는 검증할 수 없다 (OCR 층을 지운 페이지는 제외)', async () => {
+    const doc = await PDFDocument.create();
+    const image = await doc.embedPng(PNG);
+    doc.addPage([300, 200]).drawImage(image, { x: 0, y: 0, width: 300, height: 200 });
+    const bytes = await doc.save();
+
+    const result = await verifyRedaction(bytes, { names: [NAME], pii: [] });
+    assert.deepEqual(unreadable(result), [[0, '텍스트 없이 이미지만 있음']]);
+    assert.match(describeFindings(result.findings), /1페이지를 검증할 수 없음/);
+
+    const report = { coverPages: 1, hiddenContent: [{ type: 'ocr_text', action: 'remove', count: 3, pages: [0] }] };
+    assert.deepEqual(textLayerPagesOf(report), [1]);
+    assert.equal((await verifyRedaction(bytes, { names: [NAME], pii: [], textLayerPages: [0] })).clean, true);
+});
+
+test('콘텐츠를 풀지 못한 페이지는 검증할 수 없다', async () => {
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([300, 200]);
+    const broken = doc.context.stream('not really jpeg', { Filter: 'DCTDecode' });
+    page.node.set(PDFName.of('Contents'), doc.context.register(broken));
+
+    const result = await verifyRedaction(await doc.save(), { names: [NAME], pii: [] });
+    assert.equal(result.clean, false);
+    assert.match(unreadable(result)[0][1], /텍스트 추출 실패/);
+});